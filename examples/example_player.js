@@ -0,0 +1,24 @@
+
+// Load hartnet as libary
+var hartnet = require('../hartnet.js');
+
+// Create new hartnet instance
+var hub = new hartnet({
+  name: "hartnet-player",
+  log_level: "info"
+});
+
+// Create senders for universe 0-3
+var senders = [];
+for (var i = 0; i < 4; i++)
+  senders.push(hub.newSender({ to: '255.255.255.255', universe: i }));
+
+// Play show file in a loop
+var player = hub.newPlayer({
+  file: 'show.hnrec',
+  senders: senders,
+  loop: true
+});
+player.play();
+
+player.on('loop', () => console.log('Show restarted'));
@@ -0,0 +1,26 @@
+
+// Load hartnet as libary
+var hartnet = require('../hartnet.js');
+
+// Create new hartnet instance
+var hub = new hartnet({
+  name: "hartnet-recorder",
+  log_level: "info"
+});
+
+// Create receivers for universe 0-3
+var receivers = [];
+for (var i = 0; i < 4; i++)
+  receivers.push(hub.newReceiver({ universe: i }));
+
+// Record them into a show file
+var recorder = hub.newRecorder({
+  file: 'show.hnrec',
+  receivers: receivers
+});
+recorder.start();
+
+// Stop recording after 60 seconds
+setTimeout(function() {
+  recorder.stop().then(() => process.exit());
+}, 60000);
@@ -0,0 +1,38 @@
+// Load hartnet as libary
+var hartnet = require('../hartnet.js');
+
+// In-memory network: a console and a node on 10.0.0.0/24
+var network = new hartnet.VirtualNetwork();
+
+var console1 = new hartnet({
+  name: "virtual-console",
+  transport: network.host([{ name: 'eth0', cidr: '10.0.0.1/24' }]),
+});
+
+var node = new hartnet({
+  name: "virtual-node",
+  transport: network.host([{ name: 'eth0', cidr: '10.0.0.2/24' }]),
+});
+
+// Node: receive universe 0
+var receiver = node.newReceiver({ universe: 0 });
+receiver.on('data', function(data) {
+  console.log('Node received:', data.slice(0, 4));
+});
+
+// Console: discover the node, and send to universe 0
+console1.on('node-online', function(n) {
+  console.log('Console found node:', n.ip);
+});
+
+Promise.all([console1.ready, node.ready]).then(function() {
+  console1.ArtPoll();
+
+  var sender = console1.newSender({ universe: 0, to: '10.0.0.255' });
+  sender.setChannel(0, 255);
+  sender.setChannel(1, 128);
+
+  setTimeout(function() {
+    Promise.all([console1.close(), node.close()]);
+  }, 500);
+});
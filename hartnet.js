@@ -1,10 +1,7 @@
 // Description: Library for hartnet
 //
 
-var dgram = require('dgram');
 var EventEmitter = require('events');
-var jspack = require('jspack').jspack;
-const os = require('os');
 const Netmask = require('netmask').Netmask;
 
 // uuid
@@ -13,16 +10,35 @@ const { v4: uuidv4 } = require('uuid');
 const prettystream = require('pino-pretty')({}) // https://github.com/pinojs/pino-pretty#options
 const pino = require('pino')
 
-const swap16 = (val) => { return ((val & 0xFF) << 8) | ((val >> 8) & 0xFF); };
+const { Recorder, Player } = require('./lib/recorder.js');
+const artnet = require('./lib/artnet.js');
+const sacn = require('./lib/sacn.js');
+const rdm = require('./lib/rdm.js');
+const { Fixture, FixtureProfile, loadProfile } = require('./lib/fixture.js');
+const { Router } = require('./lib/router.js');
+const { Scheduler } = require('./lib/scheduler.js');
+const timecode = require('./lib/timecode.js');
+const { systemTransport, VirtualNetwork } = require('./lib/transport.js');
+
+// ArtTrigger keys, when sent to all OEMs
+const TRIGGER_KEYS = ['ascii', 'macro', 'soft', 'show'];
+
+// Fade curves: progress 0-1 -> value ratio 0-1
+const FADE_CURVES = {
+  'linear': (t) => t,
+  'ease': (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+  's-curve': (t) => t * t * t * (t * (t * 6 - 15) + 10),
+};
 
 // Make a list of unique ipv4 address, there broadcast addresse and Netmask from cidr
-function getNetworkInfo() {
-  const interfaces = os.networkInterfaces();
+function getNetworkInfo(transport) {
+  const interfaces = transport.networkInterfaces();
   const networkInfo = [];
   for (const [interfaceName, addresses] of Object.entries(interfaces))
       for (const addr of addresses)
           if (addr.family === 'IPv4' && !addr.internal) {
               const info = {
+                  name: interfaceName,
                   ip: addr.address,
                   mac: addr.mac,
                   netmask: new Netmask(addr.cidr)
@@ -32,7 +48,6 @@ function getNetworkInfo() {
           }
   return networkInfo;
 }
-const INTERFACES = getNetworkInfo();
 
 
 class hartnet extends EventEmitter {
@@ -44,6 +59,13 @@ class hartnet extends EventEmitter {
     name: 'hartnet-node', // Shortname
     poll_interval: 0,       // Interval for sending ArtPoll
     poll_to: '0.0.0.0/0',           // Destination for ArtPoll
+    rdm_timeout: 2000,      // Delay before a RDM request fails (ms)
+    frame_rate: 44,         // Max. frames per second sent per universe
+    interfaces: [],         // Interface names or IPs to use, default all
+    scan_interval: 5000,    // Interval for re-scanning network interfaces (ms), 0 to disable
+    universe_timeout: 10000, // Universes silent for longer are removed from hub.universes (ms)
+    node_timeout: 30000,    // Nodes without ArtPollReply for longer go offline (ms)
+    controller_timeout: 60000, // Controllers without ArtPoll for longer go offline (ms)
     log_level: 'info',
   }
 
@@ -53,16 +75,31 @@ class hartnet extends EventEmitter {
     // Parse options
     for (var key in this.options) 
       this.options[key] = options[key] || this.options[key];
+    // 0 disables the re-scan
+    if (options.scan_interval !== undefined) this.options.scan_interval = options.scan_interval;
     
-    // set sName / lName with uuid
+    // set sName / lName with uuid, also used as sACN CID
+    this.cid = uuidv4();
     this.options.sName = this.options.name.slice(0, 16) 
-    this.options.lName = this.options.name.slice(0, 28)+' '+uuidv4();
+    this.options.lName = this.options.name.slice(0, 28)+' '+this.cid;
 
     // Create Logger
     this.logger = pino({name: this.options.name, level: this.options.log_level}, prettystream)
     this.logger.info(`hartnet.js started`)
     this.logger.debug(this.options)
-    this.logger.trace(`Interfaces: ${JSON.stringify(INTERFACES, null, 2)}`)
+
+    // Sockets and network interfaces: system (dgram, os), or e.g. a host of a VirtualNetwork
+    this.transport = options.transport || systemTransport;
+
+    // Interfaces in use: all, or the ones given by name or IP
+    this.bound = this.options.interfaces.length > 0;
+    this.localInterfaces = getNetworkInfo(this.transport);
+    this.interfaces = this.localInterfaces.filter((iface) => this.useInterface(iface));
+    this.logger.trace(`Interfaces: ${JSON.stringify(this.localInterfaces, null, 2)}`)
+    if (this.bound) {
+      if (this.interfaces.length < 1) this.logger.warn('No interface found for ' + this.options.interfaces.join(', '));
+      else this.logger.info('Using interfaces: ' + this.interfaces.map((iface) => iface.name + ' (' + iface.ip + ')').join(', '));
+    }
 
 
     // error function to call on error to avoid unhandled exeptions e.g. in Node-RED
@@ -70,20 +107,40 @@ class hartnet extends EventEmitter {
 
     // init artPollReplyCount
     this.artPollReplyCount = 0;
-    // Array containing reference to foreign controllers
-    this.controllers = [];
-    // Array containing reference to foreign node's
+    // NodeReport of ArtPollReply, see setNodeReport
+    this.nodeReport = { code: artnet.NODE_REPORT.RcPowerOk, text: 'hartnet ArtNet-Transceiver running' };
+    // Foreign controllers: IP -> {ip, family, esta, oem, last_poll, diagnostic_unicast, diagnostic_enable, unilateral, priority}
+    this.controllers = new Map();
+    // Foreign nodes, one per physical device: id -> Node
     this.nodes = new Map();
     // Array containing reference to senders
     this.senders = [];
+    // Paces the frames of the senders
+    if (!(this.options.frame_rate > 0)) this.handleError(new Error('Invalid frame_rate: must be greater than 0'));
+    this.scheduler = new Scheduler(this, this.options.frame_rate);
     // Array containing reference to receiver objects
     this.receivers = [];
+    // Routers, recorders, players and timecode generators, stopped with the hub
+    this.tools = [];
+    // Universes seen on the wire: port address -> {port_address, net, subnet, universe, sources, length, frames, first, last}
+    this.universes = new Map();
     // Timestamp of last ArtPollReply send
     this.last_poll_reply = 0;
 
+    // RDM controller UID: ESTA code + start of uuid
+    this.rdmUid = ('000' + this.options.esta.toString(16)).slice(-4) + ':' + this.cid.slice(0, 8);
+    this.rdmTransaction = 0;
+    // Pending RDM requests by responder UID and transaction number
+    this.rdmPending = new Map();
+    // ArtTodData blocks being assembled by node IP and port address
+    this.todBlocks = new Map();
+    // ArtTrigger and ArtCommand handlers
+    this.triggerHandlers = [];            // [{key, subKey, handler}]
+    this.commandHandlers = new Map();     // command (lower case) -> [handler]
+
     // Create listener for incoming data
     if (!Number.isInteger(this.options.port)) this.handleError(new Error('Invalid Port'));
-    this.listener4 = dgram.createSocket({
+    this.listener4 = this.transport.createSocket({
       type: 'udp4',
       reuseAddr: true,
     });
@@ -91,8 +148,8 @@ class hartnet extends EventEmitter {
     // ToDo: IPv6
     // ToDo: Multicast
     // Catch Socket errors
-    this.listener4.on('error', function (err) {
-      this.handleError(new Error('Socket error: ', err));
+    this.listener4.on('error', (err) => {
+      this.handleError(new Error('Socket error: ' + err.message));
     });
 
     // Register listening object
@@ -104,13 +161,26 @@ class hartnet extends EventEmitter {
     this.listener4.bind(this.options.port);
     this.logger.debug('Listening on port ' + this.options.port);
 
-    // Open Socket for sending broadcast data
-    this.socket = dgram.createSocket('udp4');
-    this.socket.bind(() => {
+    // Open Socket for sending broadcast data, from the address of a single bound interface
+    this.socket = this.transport.createSocket('udp4');
+    this.socket.bind({ address: this.sourceAddress() }, () => {
       this.socket.setBroadcast(true);
       this.socket_ready = true;
     });
 
+    // Resolves with the hub once both sockets are bound, rejects if listening fails
+    this.ready = Promise.all([
+      new Promise((resolve, reject) => {
+        this.listener4.once('listening', resolve);
+        this.listener4.once('error', reject);
+      }),
+      new Promise((resolve) => this.socket.once('listening', resolve)),
+    ]).then(() => {
+      this.emit('ready');
+      return this;
+    });
+    this.ready.catch(() => {});  // errors also go to handleError
+
     // Prepare Poll destination: broadcast address from poll_to
     let p = new Netmask(this.options.poll_to);
     this.pollTo = p.broadcast;
@@ -120,7 +190,7 @@ class hartnet extends EventEmitter {
 
     // Periodically send ArtPoll to discover devices
     if (this.options.poll_interval > 0 && this.pollTo != null)
-      setInterval(() => {
+      this.pollTimer = setInterval(() => {
         // discard if last_poll_reply is less than 
         // this.options.poll_interval/2 ms ago  
         // it means someone already polled the network
@@ -130,25 +200,42 @@ class hartnet extends EventEmitter {
         else this.ArtPoll()
       }, this.options.poll_interval);
 
+    // Periodically re-scan network interfaces
+    if (this.options.scan_interval > 0)
+      this.scanTimer = setInterval(() => this.scanInterfaces(), this.options.scan_interval);
+
     // Periodically check Controllers / Nodes
-    setInterval(() => {
+    this.checkTimer = setInterval(() => {
 
       // CONTROLERS
-      if (this.controllers) {
-        for (var index = 0; index < this.controllers.length; index++) {
-          if ((new Date().getTime() - new Date(this.controllers[index].last_poll).getTime()) > 60000) {
-            this.controllers[index].alive = false;
-            this.logger.debug('Controller removed: ' + this.controllers[index].ip);
-          }
+      for (const ctrl of this.controllers.values()) {
+        if (Date.now() - ctrl.last_poll > this.options.controller_timeout) {
+          this.controllers.delete(ctrl.ip);
+          this.logger.debug('Controller removed: ' + ctrl.ip);
+          this.emit('controller-offline', ctrl);
         }
-        this.logger.debug('Check controller alive: ' + this.controllers.filter((c) => c.alive).length + ' / ' + this.controllers.length);
       }
+      this.logger.debug('Check controller alive: ' + this.controllers.size);
 
       // NODES
       for (const node of this.nodes.values()) {
-        if (!node.isAlive()) {
-          this.nodes.delete(node.mac);
-          this.logger.debug('Node removed: ' + node.ip + ' (' + node.mac + ')');
+        if (!node.isAlive(this.options.node_timeout)) {
+          this.nodes.delete(node.id);
+          this.logger.debug('Node removed: ' + node.ip + ' (' + node.id + ')');
+          this.updateSenderTargets();
+          this.emit('node-offline', node);
+        }
+      }
+
+      // UNIVERSES
+      const now = Date.now();
+      for (const entry of this.universes.values()) {
+        for (const [ip, last] of entry.sources)
+          if (now - last > this.options.universe_timeout) entry.sources.delete(ip);
+        if (entry.sources.size === 0) {
+          this.universes.delete(entry.port_address);
+          this.logger.debug('Universe lost: ' + entry.port_address);
+          this.emit('universe-lost', entry);
         }
       }
       this.logger.debug('Check node alive: ' + this.nodes.size);
@@ -167,54 +254,66 @@ class hartnet extends EventEmitter {
   dataParser(msg, rinfo) 
   {
     var logMsg = `-> UDP from ${rinfo.address}:${rinfo.port}`
-    if (rinfo.size < 10) {
-      this.logger.debug(logMsg, '\t = Payload to short');
-      return;
-    }
-    
-    // Check first 8 bytes for the "Art-Net" - String
-    if (String(jspack.Unpack('!8s', msg)) !== 'Art-Net\u0000') {
-      this.logger.debug(logMsg, '\t = Invalid header');
+    if (!this.fromInterfaces(rinfo)) {
+      this.logger.trace(logMsg, '\t = Not from a bound interface');
       return;
     }
-    var opcode = parseInt(jspack.Unpack('B', msg, 8), 10);
-    opcode += parseInt(jspack.Unpack('B', msg, 9), 10) * 256;
-    if (!opcode || opcode === 0) {
-      this.logger.debug(logMsg, '\t = Invalid OpCode');
+
+    // Header, opcode and fields, see lib/artnet.js
+    let packet;
+    try {
+      packet = artnet.decode(msg);
+    } catch (err) {
+      this.logger.debug(logMsg, '\t = ' + err.message);
+      if (msg.subarray(0, 8).toString('latin1') === 'Art-Net\0') this.setNodeReport(artnet.NODE_REPORT.RcParseFail, err.message);
       return;
     }
 
-    switch (opcode) {
+    switch (packet.opcode) {
       // ArtDmx
       //
       case 0x5000:
-        var p_address = parseInt(jspack.Unpack('B', msg, 14), 10);
+        var p_address = packet.portAddress;
+        const sequence = packet.sequence;
+        const length = packet.length;
         let data = null;
+        this.seeUniverse(packet, rinfo);
 
-        // Loop through all receivers and check if packet is for them
-        for(var i in this.receivers) 
-          if (this.receivers[i].acceptPacket(p_address, rinfo)) 
+        // Loop through all Art-Net receivers and check if packet is for them
+        for (const candidate of this.receivers)
+          if (candidate.options.protocol !== 'sacn' && candidate.acceptPacket(p_address, rinfo))
           {
+            // Wildcard receivers hand the frame to their receiver of this universe
+            const receiver = candidate.range ? candidate.universeReceiver(p_address) : candidate;
             this.logger.trace('----')
-            this.logger.debug('-> ArtDMX frame received ('+ rinfo.address +') / addr: ' + p_address + ' / len: ' + (msg.length - 18));
+            this.logger.debug('-> ArtDMX frame received ('+ rinfo.address +') / addr: ' + p_address + ' / len: ' + length);
             
-            // parse data (if not already done)
+            // parse data (if not already done): view on the packet, copied only when shorter than 512 channels (zero-extended)
             if (data == null) {
-              data = [];
-              for (var ch = 1; ch <= msg.length - 18; ch++) 
-                data.push(msg.readUInt8(ch + 17, true));
-            } 
+              data = packet.data;
+              if (length < 512) {
+                data = Buffer.alloc(512);
+                packet.data.copy(data);
+              }
+            }
 
             this.logger.trace('\t = Data: ' + data);
 
-            // Transmit data to receiver
-            this.receivers[i].receive(data);
+            // Discard stale and duplicate frames
+            if (!receiver.checkSequence(sequence, rinfo)) {
+              this.logger.debug('\t = out of sequence: ' + sequence);
+              continue;
+            }
+
+            // Merge with other sources and transmit data to receiver
+            let merged = receiver.merge(data, rinfo);
+            if (merged) receiver.receive(merged);
           }
 
         // No receiver found
         if (data == null) {
           this.logger.trace('----')
-          this.logger.trace('-> ArtDMX frame received from '+ rinfo.address +' / addr: ' + p_address + ' / len: ' + (msg.length - 18));
+          this.logger.trace('-> ArtDMX frame received from '+ rinfo.address +' / addr: ' + p_address + ' / len: ' + length);
           this.logger.trace('\t = no receiver set for this');
         }
         break;
@@ -222,90 +321,87 @@ class hartnet extends EventEmitter {
       // ArtPoll
       //
       case 0x2000:
-        
-        // Check for minimum size
-        if (rinfo.size < 14) {
-          this.logger.debug(logMsg, '\t = ArtPoll too small');
-          return;
-        }
 
-        // Parse Protocol version
-        var proto = parseInt(jspack.Unpack('B', msg, 10), 10);
-        proto += parseInt(jspack.Unpack('B', msg, 11), 10) * 256;
-        if (!proto || proto < 14) {
+        // Check Protocol version
+        var proto = packet.protVer;
+        if (proto < artnet.PROTOCOL_VERSION) {
           this.logger.debug(logMsg, '\t = invalid OpCode');
           return;
         }
 
         // Check origin
-        if (INTERFACES.find((i) => i.ip === rinfo.address))
+        if (this.localInterfaces.find((i) => i.ip === rinfo.address))
           this.logger.trace('-> ArtPoll from myself');
         else
           this.logger.debug('-> ArtPoll received from ' + rinfo.address + ' / Proto: ' + proto);
 
         // Parse TalkToMe
-        var ttm_raw = parseInt(jspack.Unpack('B', msg, 12), 10);
+        var ttm_raw = packet.flags;
 
-        // Make controller object
+        // Make controller object, ESTA and OEM codes are sent from Art-Net 4
         var ctrl = {
           ip: rinfo.address,
           family: rinfo.family,
-          last_poll: Date(),
-          alive: true,
+          esta: packet.estaMan,
+          oem: packet.oem,
+          last_poll: Date.now(),
           diagnostic_unicast: ((ttm_raw & 0b00001000) > 0),
           diagnostic_enable: ((ttm_raw & 0b00000100) > 0),
           unilateral: ((ttm_raw & 0b00000010) > 0),
-          priority: parseInt(jspack.Unpack('B', msg, 13), 10)
+          priority: packet.diagPriority
         };
 
         // Add or update controller
-        var key = this.controllers.findIndex((c) => c.ip === rinfo.address);
-        if (key >= 0) this.controllers[key] = ctrl;
-        else {
-          this.controllers.push(ctrl);
+        var known = this.controllers.has(rinfo.address);
+        this.controllers.set(rinfo.address, ctrl);
+        if (!known) {
           this.logger.debug('New Controller detected: ' + rinfo.address);
+          this.emit('controller-online', ctrl);
         }
 
-        // Send ArtPollReply
-        this.ArtPollReply();
+        // Targeted mode: only ports within TargetPortAddressBottom-Top
+        var target = null;
+        if (ttm_raw & 0b00100000)
+          target = { bottom: packet.targetPortAddressBottom || 0, top: packet.targetPortAddressTop || 0 };
+
+        // Send ArtPollReply on the interface of the poll, or back to the controller
+        this.ArtPollReply(rinfo, ctrl.diagnostic_unicast, target);
         break;
       
       // ArtPollReply
       //
       case 0x2100:
 
-        // TODO: handle 207 packets for Art-Net 3 ??
-
-        // Parse Node
-        if (msg.length < 208) {  // Minimum length of ArtPollReply packet (including BindIndex)
-          this.logger.debug('\t= Invalid ArtPollReply packet: too short');
-          return;
-        }
-
-        const format = '!7sBHBBBBHHBBHBBH18s64s64sH4B4B4B4B4B3HB6B4BBBB';
-        const unpacked = jspack.Unpack(format, msg);
-
+        // Parse Node, Art-Net 3 packets (207 bytes) have no BindIp, BindIndex and Status2/3: root device
         const apr = {
           ip: rinfo.address,
-          mac: msg.slice(201, 207).toString('hex').match(/.{2}/g).join(':'),
-          shortName: unpacked[15].replace(/\0+$/, ''),
-          longName: unpacked[16].replace(/\0+$/, ''),
-          nodeReport: unpacked[17].replace(/\0+$/, ''),
-          numPorts: unpacked[18],
-          portTypes: (unpacked[19] << 24) | (unpacked[20] << 16) | (unpacked[21] << 8) | unpacked[22],
-          goodInput: (unpacked[23] << 24) | (unpacked[24] << 16) | (unpacked[25] << 8) | unpacked[26],
-          goodOutput: (unpacked[27] << 24) | (unpacked[28] << 16) | (unpacked[29] << 8) | unpacked[30],
-          swIn: (unpacked[31] << 24) | (unpacked[32] << 16) | (unpacked[33] << 8) | unpacked[34],
-          swOut: (unpacked[35] << 24) | (unpacked[36] << 16) | (unpacked[37] << 8) | unpacked[38],
-          net: unpacked[10],
-          subNet: unpacked[11],
-          bindIndex: unpacked[unpacked.length - 1],  // Last element is BindIndex
+          mac: packet.mac,
+          bindIp: packet.bindIp && packet.bindIp !== '0.0.0.0' ? packet.bindIp : rinfo.address,
+          shortName: packet.shortName,
+          longName: packet.longName,
+          nodeReport: packet.nodeReport,
+          firmware: packet.versInfo,
+          oem: packet.oem,
+          esta: packet.estaMan,
+          style: packet.style,
+          status1: packet.status1,
+          status2: packet.status2 || 0,
+          status3: packet.status3 || 0,
+          numPorts: packet.numPorts,
+          portTypes: packet.portTypes,   // One byte per port
+          goodInput: packet.goodInput,
+          goodOutput: packet.goodOutputA,
+          swIn: packet.swIn,
+          swOut: packet.swOut,
+          net: packet.netSwitch,
+          subNet: packet.subSwitch,
+          bindIndex: Math.max(packet.bindIndex || 1, 1),
           inPorts: [],
           outPorts: []
         };
 
         // Check if from myself
-        if (INTERFACES.find((i) => i.ip === apr.ip)) 
+        if (this.localInterfaces.find((i) => i.ip === apr.ip)) 
           if (apr.shortName == this.options.sName && apr.longName == this.options.lName)
           {
             this.logger.trace('-> ArtPollReply from myself');
@@ -316,45 +412,101 @@ class hartnet extends EventEmitter {
 
         // Parse port information
         for (let i = 0; i < Math.min(apr.numPorts, 4); i++) {
-          const portType = (apr.portTypes >> (i * 8)) & 0xFF;
-          const goodInput = (apr.goodInput >> i) & 0x01;
-          const goodOutput = (apr.goodOutput >> i) & 0x01;
+          const portType = apr.portTypes[i];
 
           if (portType & 0x80) {  // Input port
             apr.inPorts.push({
               net: apr.net,
               subnet: apr.subNet,
-              universe: (apr.swIn >> (28 - i * 4)) & 0x0F,
+              universe: apr.swIn[i] & 0x0F,
+              port_address: (apr.net << 8) | (apr.subNet << 4) | (apr.swIn[i] & 0x0F),
               ip: apr.ip,
-              portNumber: apr.bindIndex * 4 + i,
-              isGood: goodInput === 1
+              portNumber: (apr.bindIndex - 1) * 4 + i,
+              isGood: (apr.goodInput[i] & 0x80) > 0     // Data received
             });
           }
           if (portType & 0x40) {  // Output port
             apr.outPorts.push({
               net: apr.net,
               subnet: apr.subNet,
-              universe: (apr.swOut >> (28 - i * 4)) & 0x0F,
+              universe: apr.swOut[i] & 0x0F,
+              port_address: (apr.net << 8) | (apr.subNet << 4) | (apr.swOut[i] & 0x0F),
               ip: apr.ip,
-              portNumber: apr.bindIndex * 4 + i,
-              isGood: goodOutput === 1
+              portNumber: (apr.bindIndex - 1) * 4 + i,
+              isGood: (apr.goodOutput[i] & 0x80) > 0    // Data transmitted
             });
           }
         }
 
-        // Find or create Node and update
-        let node = this.nodes.get(apr.mac);
-        if (!node) {
-          node = new Node(apr.mac);
-          this.nodes.set(apr.mac, node);
-          this.logger.debug('New Node detected: ' + apr.ip + ' (' + apr.mac + ')');
+        // Find or create Node and update: the pages of a device share its MAC, or its root IP without MAC
+        const id = apr.mac && apr.mac !== '00:00:00:00:00:00' ? apr.mac : apr.bindIp;
+        let node = this.nodes.get(id);
+        const isNew = !node;
+        if (isNew) {
+          node = new Node(id);
+          this.nodes.set(id, node);
+          this.logger.debug('New Node detected: ' + apr.ip + ' (' + id + ')');
+        }
+        let didChange = node.updateFromArtPollReply(apr, this.interfaces);
+        if (isNew) this.emit('node-online', node);
+        if (didChange) {
+          this.updateSenderTargets();
+          this.emit('node-update', node);
         }
-        let didChange = node.updateFromArtPollReply(apr);
-        if (didChange) this.emit('node-update', node);
 
         this.logger.debug(`-> ArtPollReply from ${apr.shortName} (BindIndex: ${apr.bindIndex})`);
         break;
 
+      // ArtAddress
+      //
+      case 0x6000:
+        this.handleArtAddress(packet, rinfo);
+        break;
+
+      // ArtInput
+      //
+      case 0x7000:
+        this.handleArtInput(packet, rinfo);
+        break;
+
+      // ArtTodData
+      //
+      case 0x8100:
+        this.handleArtTodData(packet, rinfo);
+        break;
+
+      // ArtRdm
+      //
+      case 0x8300:
+        this.handleArtRdm(packet, rinfo);
+        break;
+
+      // ArtTimeCode
+      //
+      case 0x9700:
+        this.handleArtTimeCode(packet, rinfo);
+        break;
+
+      // ArtTrigger
+      //
+      case 0x9900:
+        this.handleArtTrigger(packet, rinfo);
+        break;
+
+      // ArtCommand
+      //
+      case 0x2400:
+        this.handleArtCommand(packet, rinfo);
+        break;
+
+      // ArtSync
+      //
+      case 0x5200:
+        this.logger.debug('-> ArtSync received from ' + rinfo.address);
+        for (const receiver of this.receivers)
+          if (receiver.options.protocol !== 'sacn') receiver.sync(rinfo);
+        break;
+
       // N.C.
       //
       default:
@@ -362,6 +514,514 @@ class hartnet extends EventEmitter {
     }
   }
 
+  /**
+   * Updates the map of the universes seen on the wire with an ArtDmx, emits 'universe-seen' for a new one
+   *
+   * @param {object} packet - Decoded ArtDmx
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  seeUniverse(packet, rinfo) {
+    const now = Date.now();
+    let entry = this.universes.get(packet.portAddress);
+    const seen = !entry;
+    if (seen) {
+      entry = {
+        port_address: packet.portAddress,
+        net: packet.portAddress >> 8,
+        subnet: (packet.portAddress >> 4) & 0x0F,
+        universe: packet.portAddress & 0x0F,
+        sources: new Map(),   // IP -> last frame
+        length: 0,
+        frames: 0,
+        first: now,
+        last: now
+      };
+      this.universes.set(packet.portAddress, entry);
+    }
+    entry.sources.set(rinfo.address, now);
+    entry.length = packet.length;
+    entry.frames++;
+    entry.last = now;
+    if (seen) {
+      this.logger.debug('Universe seen: ' + packet.portAddress + ' from ' + rinfo.address);
+      this.emit('universe-seen', entry);
+    }
+  }
+
+  /**
+   * Applies an incoming ArtAddress to the node and its ports, then replies with ArtPollReply
+   *
+   * @param {object} packet - Decoded ArtAddress
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtAddress(packet, rinfo) {
+    this.logger.debug('-> ArtAddress received from ' + rinfo.address + ' / BindIndex: ' + packet.bindIndex + ' / Command: ' + packet.command);
+
+    // Node names
+    if (packet.shortName) {
+      this.options.sName = packet.shortName.slice(0, 16);
+      this.setNodeReport(artnet.NODE_REPORT.RcShNameOk, 'Short name programmed');
+    }
+    if (packet.longName) {
+      this.options.lName = packet.longName.slice(0, 63);
+      this.setNodeReport(artnet.NODE_REPORT.RcLoNameOk, 'Long name programmed');
+    }
+
+    const page = this.findPage(packet.bindIndex, rinfo);
+    if (page) {
+      page.devices.forEach((device, i) => {
+        let net = device.options.net;
+        let subnet = device.options.subnet;
+        let universe = device.options.universe;
+        const sw = (device instanceof Sender) ? packet.swIn[i] : packet.swOut[i];
+
+        if (packet.netSwitch & 0x80) net = packet.netSwitch & 0x7F;
+        if (packet.subSwitch & 0x80) subnet = packet.subSwitch & 0x0F;
+        if (sw & 0x80) universe = sw & 0x0F;
+        if (net !== device.options.net || subnet !== device.options.subnet || universe !== device.options.universe)
+          device.setAddress(net, subnet, universe);
+      });
+
+      // Port commands
+      const cmd = packet.command;
+      const receiver = page.devices[cmd & 0x03];
+      const failsafe = { 0x08: 'hold', 0x09: 'blackout', 0x0A: 'full', 0x0B: 'scene' }[cmd];
+      if (cmd === 0x01)
+        page.devices.forEach((device) => { if (device instanceof Receiver) device.cancelMerge(); });
+      else if (failsafe)
+        page.devices.forEach((device) => { if (device instanceof Receiver) device.options.failsafe = failsafe; });
+      else if (cmd === 0x0C)
+        page.devices.forEach((device) => { if (device instanceof Receiver) device.recordScene(); });
+      else if (receiver instanceof Receiver) {
+        if ((cmd & 0xFC) === 0x10) receiver.options.merge = 'ltp';
+        else if ((cmd & 0xFC) === 0x50) receiver.options.merge = 'htp';
+        else if ((cmd & 0xFC) === 0x90) receiver.receive(Buffer.alloc(receiver.values.length));
+      }
+    }
+    else this.logger.debug('\t = no ports for BindIndex ' + packet.bindIndex);
+
+    this.emit('art-address', packet, rinfo);
+    this.ArtPollReply(rinfo);
+  }
+
+  /**
+   * Applies an incoming ArtInput to the node senders, then replies with ArtPollReply
+   *
+   * @param {object} packet - Decoded ArtInput
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtInput(packet, rinfo) {
+    packet.disable = packet.input.map((input) => (input & 0x01) > 0);
+    this.logger.debug('-> ArtInput received from ' + rinfo.address + ' / BindIndex: ' + packet.bindIndex);
+
+    const page = this.findPage(packet.bindIndex, rinfo);
+    if (page)
+      page.devices.slice(0, packet.numPorts).forEach((device, i) => {
+        if (device instanceof Sender) device.enabled = !packet.disable[i];
+      });
+
+    this.emit('art-input', packet, rinfo);
+    this.ArtPollReply(rinfo);
+  }
+
+  /**
+   * Emits an incoming ArtTimeCode, except the ones sent by this hub
+   *
+   * @param {object} packet - Decoded ArtTimeCode
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtTimeCode(packet, rinfo) {
+    if (this.socket_ready && rinfo.port === this.socket.address().port && this.localInterfaces.some((iface) => iface.ip === rinfo.address)) return;
+
+    const tc = {
+      hours: packet.hours,
+      minutes: packet.minutes,
+      seconds: packet.seconds,
+      frames: packet.frames,
+      type: timecode.TYPES[packet.type],
+      streamId: packet.streamId,
+      ip: rinfo.address
+    };
+    if (!tc.type) {
+      this.logger.debug('-> ArtTimeCode from ' + rinfo.address + ' = invalid type ' + packet.type);
+      return;
+    }
+    this.logger.trace('-> ArtTimeCode from ' + rinfo.address + ' / ' + timecode.format(tc));
+    this.emit('timecode', tc);
+  }
+
+  /**
+   * Emits an incoming ArtTrigger sent to all OEMs or to ours, and calls the matching handlers
+   *
+   * @param {object} packet - Decoded ArtTrigger
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtTrigger(packet, rinfo) {
+    const oem = packet.oem;
+    if (oem !== 0xFFFF && oem !== this.options.oem) {
+      this.logger.trace('-> ArtTrigger from ' + rinfo.address + ' = for OEM 0x' + oem.toString(16));
+      return;
+    }
+    const trigger = {
+      oem,
+      key: packet.key,
+      subKey: packet.subKey,
+      data: packet.data,
+      ip: rinfo.address
+    };
+    // Keys are defined by the spec when sent to all OEMs only
+    if (oem === 0xFFFF) trigger.keyName = TRIGGER_KEYS[trigger.key];
+    this.logger.debug('-> ArtTrigger from ' + rinfo.address + ' / key: ' + trigger.key + ' / subkey: ' + trigger.subKey);
+
+    this.emit('trigger', trigger);
+    for (const entry of this.triggerHandlers)
+      if (entry.key === trigger.key && (entry.subKey === null || entry.subKey === trigger.subKey))
+        this.callHandler(entry.handler, trigger);
+  }
+
+  /**
+   * Emits an incoming ArtCommand sent to all manufacturers or to ours, and calls the handlers of its commands
+   *
+   * @param {object} packet - Decoded ArtCommand
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtCommand(packet, rinfo) {
+    const esta = packet.estaMan;
+    if (esta !== 0xFFFF && esta !== this.options.esta) {
+      this.logger.trace('-> ArtCommand from ' + rinfo.address + ' = for ESTA 0x' + esta.toString(16));
+      return;
+    }
+    const text = packet.data;
+
+    // Command=Value& pairs
+    const commands = [];
+    for (const pair of text.split('&')) {
+      if (pair.trim() === '') continue;
+      const eq = pair.indexOf('=');
+      commands.push(eq < 0 ? { command: pair.trim(), value: '' } : { command: pair.slice(0, eq).trim(), value: pair.slice(eq + 1) });
+    }
+    this.logger.debug('-> ArtCommand from ' + rinfo.address + ': ' + text);
+
+    this.emit('command', { esta, text, commands, ip: rinfo.address });
+    for (const command of commands)
+      for (const handler of this.commandHandlers.get(command.command.toLowerCase()) || [])
+        this.callHandler(handler, command.value, { ...command, esta, ip: rinfo.address });
+  }
+
+  /**
+   * Calls an user handler, errors go to handleError
+   */
+  callHandler(handler, ...args) {
+    try {
+      handler(...args);
+    } catch (err) {
+      this.handleError(err);
+    }
+  }
+
+  /**
+   * Registers a handler for an ArtTrigger key
+   *
+   * @param {number|string} key - Key (0-255), or 'ascii', 'macro', 'soft' or 'show'
+   * @param {number|string|null} subKey - SubKey (0-255), a character for 'ascii', null for any
+   * @param {function} handler - Called with the trigger {oem, key, keyName, subKey, data, ip}
+   * @returns {function} - Removes the handler
+   */
+  onTrigger(key, subKey, handler) {
+    if (typeof key === 'string') key = TRIGGER_KEYS.indexOf(key.toLowerCase());
+    if (!(key >= 0 && key <= 255)) return this.handleError(new Error('Invalid ArtTrigger key'));
+    if (typeof subKey === 'string') subKey = subKey.charCodeAt(0);
+
+    const entry = { key, subKey: subKey === undefined ? null : subKey, handler };
+    this.triggerHandlers.push(entry);
+    return () => { this.triggerHandlers = this.triggerHandlers.filter((e) => e !== entry); };
+  }
+
+  /**
+   * Registers a handler for an ArtCommand command (case insensitive)
+   *
+   * @param {string} command - Command name, e.g. 'GoCue'
+   * @param {function} handler - Called with the value (string) and {command, value, esta, ip}
+   * @returns {function} - Removes the handler
+   */
+  onCommand(command, handler) {
+    const name = String(command).toLowerCase();
+    this.commandHandlers.set(name, [...(this.commandHandlers.get(name) || []), handler]);
+    return () => { this.commandHandlers.set(name, this.commandHandlers.get(name).filter((h) => h !== handler)); };
+  }
+
+  /**
+   * Collects the RDM UIDs of an ArtTodData into the table of the node
+   *
+   * @param {object} packet - Decoded ArtTodData
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtTodData(packet, rinfo) {
+    const port_address = (packet.net << 8) | packet.address;
+    if (packet.commandResponse === 0xFF) {
+      this.logger.debug('-> ArtTodData from ' + rinfo.address + ' / addr: ' + port_address + ' = TodNak');
+      return;
+    }
+
+    const uidTotal = packet.uidTotal;
+    const block = packet.blockCount;
+    const uids = packet.tod;
+    const uidCount = uids.length;
+    this.logger.debug('-> ArtTodData from ' + rinfo.address + ' / addr: ' + port_address + ' / block: ' + block + ' / uids: ' + uidCount + '/' + uidTotal);
+
+    // Large tables are split in blocks, the first one starts a new table
+    const key = rinfo.address + '-' + port_address;
+    const table = (block === 0) ? [] : (this.todBlocks.get(key) || []);
+    table.push(...uids);
+    if (table.length < uidTotal) {
+      this.todBlocks.set(key, table);
+      return;
+    }
+    this.todBlocks.delete(key);
+
+    const node = this.findNode(rinfo.address);
+    if (!node) {
+      this.logger.debug('\t = unknown node, ToD dropped');
+      return;
+    }
+    node.tod[port_address] = table;
+    this.emit('tod', node, port_address, table);
+  }
+
+  /**
+   * Resolves the pending RDM request answered by an ArtRdm
+   *
+   * @param {object} packet - Decoded ArtRdm
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  handleArtRdm(packet, rinfo) {
+    let m;
+    try {
+      m = rdm.decode(packet.rdmPd);
+    } catch (err) {
+      this.logger.debug('-> ArtRdm from ' + rinfo.address + ' = ' + err.message);
+      return;
+    }
+    if (m.commandClass !== rdm.GET_COMMAND_RESPONSE && m.commandClass !== rdm.SET_COMMAND_RESPONSE) return;
+    this.logger.debug('-> ArtRdm response from ' + m.source + ' (' + rinfo.address + ') / pid: 0x' + m.pid.toString(16) + ' / ' + m.responseType);
+
+    const key = m.source + '-' + m.transaction;
+    const pending = this.rdmPending.get(key);
+    if (!pending) return;
+    this.rdmPending.delete(key);
+    clearTimeout(pending.timer);
+
+    switch (m.responseType) {
+      case 'ack':
+        try {
+          pending.resolve(rdm.decodeData(m.pid, Buffer.concat([...pending.overflow, m.data])));
+        } catch (err) {
+          pending.reject(err);
+        }
+        break;
+      case 'ack_overflow':
+        // More data to come: repeat the request
+        pending.overflow.push(m.data);
+        this.rdmSend(pending);
+        break;
+      case 'nack_reason': {
+        let err = new Error('RDM NACK from ' + m.source + ', reason 0x' + (m.nackReason || 0).toString(16));
+        err.nackReason = m.nackReason;
+        pending.reject(err);
+        break;
+      }
+      default:
+        pending.reject(new Error('RDM response ' + m.responseType + ' from ' + m.source));
+    }
+  }
+
+  // sACN parser & receiver
+  /**
+   * @param {Buffer} msg - Message buffer to parse
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  sacnParser(msg, rinfo)
+  {
+    if (!this.fromInterfaces(rinfo)) return;
+    const packet = sacn.decode(msg);
+    if (!packet) {
+      this.logger.debug(`-> UDP from ${rinfo.address}:${rinfo.port}`, '\t = Invalid sACN packet');
+      return;
+    }
+    // Only DMX start code, preview data is not meant for live output
+    if (packet.startCode !== 0 || packet.preview) return;
+
+    let data = null;
+    for (const receiver of this.receivers)
+      if (receiver.options.protocol === 'sacn' && receiver.acceptPacket(packet.universe, rinfo))
+      {
+        this.logger.debug('-> sACN frame received ('+ rinfo.address +') / universe: ' + packet.universe + ' / prio: ' + packet.priority + ' / seq: ' + packet.sequence);
+        if (!receiver.sacnFilter(packet, rinfo)) continue;
+
+        // zero-extended to 512 channels, like ArtDmx
+        if (data == null) {
+          data = packet.data;
+          if (data.length < 512) {
+            data = Buffer.alloc(512);
+            packet.data.copy(data);
+          }
+        }
+        receiver.receive(data);
+      }
+  }
+
+  /**
+   * Joins the multicast group of a sACN receiver, opening the sACN listener if needed
+   *
+   * @param {Receiver} receiver - sACN receiver
+   */
+  sacnJoin(receiver) {
+    if (!this.listenerSacn) {
+      this.listenerSacn = this.transport.createSocket({
+        type: 'udp4',
+        reuseAddr: true,
+      });
+      this.listenerSacn.on('error', (err) => {
+        this.handleError(new Error('sACN socket error: ' + err.message));
+      });
+      this.listenerSacn.on('message', (msg, rinfo) => {
+        this.sacnParser(msg, rinfo);
+      });
+      this.sacnBound = new Promise((resolve) => this.listenerSacn.bind(sacn.PORT, resolve));
+      this.logger.debug('Listening on port ' + sacn.PORT + ' (sACN)');
+    }
+
+    const group = sacn.multicastGroup(receiver.options.universe);
+    const join = (iface) => {
+      try {
+        if (iface) this.listenerSacn.addMembership(group, iface.ip);
+        else this.listenerSacn.addMembership(group);
+        this.logger.debug('Joined sACN multicast group ' + group + (iface ? ' on ' + iface.name : ''));
+      } catch (err) {
+        if (err.code === 'EADDRINUSE') return;  // already joined by another receiver, or before a re-scan
+        try {
+          this.handleError(err);
+        } catch (e) {
+          this.logger.error(e.message);  // no errFunc: not thrown from the promise
+        }
+      }
+    };
+    this.sacnBound.then(() => {
+      if (receiver.interfaces.length < 1 && !this.bound) join(null);
+      for (const iface of receiver.interfaces) join(iface);
+    });
+  }
+
+  /**
+   * Checks if an interface is selected by the interfaces option
+   *
+   * @param {object} iface - Interface from getNetworkInfo
+   * @returns {boolean} - true if the interface should be used
+   */
+  useInterface(iface) {
+    return !this.bound || this.options.interfaces.includes(iface.name) || this.options.interfaces.includes(iface.ip);
+  }
+
+  /**
+   * Re-scans the network interfaces. On change, emits interface-up / interface-down,
+   * re-resolves the interfaces of senders and receivers, and announces the new ports.
+   */
+  scanInterfaces() {
+    const key = (iface) => iface.name + '/' + iface.ip + '/' + iface.netmask.bitmask;
+    const previous = new Map(this.localInterfaces.map((iface) => [key(iface), iface]));
+
+    // Keep the objects of unchanged interfaces, devices compare them by reference
+    const current = getNetworkInfo(this.transport).map((iface) => previous.get(key(iface)) || iface);
+    const up = current.filter((iface) => !previous.has(key(iface)));
+    const down = this.localInterfaces.filter((iface) => !current.includes(iface));
+    if (up.length === 0 && down.length === 0) return;
+
+    this.localInterfaces = current;
+    this.interfaces = current.filter((iface) => this.useInterface(iface));
+    for (const iface of down) {
+      this.logger.info('Interface down: ' + iface.name + ' (' + iface.ip + ')');
+      this.emit('interface-down', iface);
+    }
+    for (const iface of up) {
+      this.logger.info('Interface up: ' + iface.name + ' (' + iface.ip + ')');
+      this.emit('interface-up', iface);
+    }
+
+    for (const sender of this.senders) sender.resolveInterfaces();
+    for (const receiver of this.receivers) {
+      receiver.resolveInterfaces();
+      if (receiver.options.protocol === 'sacn') this.sacnJoin(receiver);
+    }
+    this.updateSenderTargets();
+    if (up.some((iface) => this.useInterface(iface))) this.ArtPollReply();
+  }
+
+  /**
+   * Checks that a packet comes from the network of an interface in use
+   *
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   * @returns {boolean} - true if the packet should be handled
+   */
+  fromInterfaces(rinfo) {
+    return !this.bound || this.interfaces.some((iface) => iface.netmask.contains(rinfo.address));
+  }
+
+  /**
+   * Local address to send from: the IP of the bound interface when there is a single one
+   *
+   * @returns {string|undefined} - IP, undefined for all addresses
+   */
+  sourceAddress() {
+    return (this.bound && this.interfaces.length === 1) ? this.interfaces[0].ip : undefined;
+  }
+
+  /**
+   * Resolves a destination: when bound to interfaces, the limited broadcast
+   * is replaced by the broadcast address of each of them, to stay off other networks
+   *
+   * @param {string} ip - Destination IP
+   * @returns {Array} - Destination IPs
+   */
+  destinations(ip) {
+    if (ip !== '255.255.255.255' || !this.bound) return [ip];
+    return this.interfaces.map((iface) => iface.netmask.broadcast);
+  }
+
+  /**
+   * Stops the hub: senders, receivers, timers and sockets
+   *
+   * @param {object} options - {blackout: send a last frame with all channels at zero, default false}
+   * @returns {Promise} - Resolves once the sockets are closed
+   */
+  close({ blackout = false } = {}) {
+    if (this.closed) return this.closed;
+
+    clearInterval(this.pollTimer);
+    clearInterval(this.checkTimer);
+    clearInterval(this.scanTimer);
+    for (const pending of this.rdmPending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Hub closed'));
+    }
+    this.rdmPending.clear();
+
+    const devices = [
+      ...this.senders.map((sender) => sender.close({ blackout })),
+      ...this.receivers.map((receiver) => receiver.close()),
+      // Timecode generators close, routers, recorders and players stop
+      ...this.tools.map((tool) => (typeof tool.close === 'function' ? tool.close() : tool.stop()))
+    ];
+    this.tools = [];
+    this.closed = Promise.all(devices).then(() => Promise.all(
+      [this.listener4, this.socket, this.listenerSacn].filter(Boolean).map((socket) => new Promise((resolve) => socket.close(() => resolve())))
+    )).then(() => {
+      this.socket_ready = false;
+      this.logger.info('hartnet.js closed');
+      this.emit('close');
+    });
+    return this.closed;
+  }
+
   /**
    * function to handle the errors an throw them or lead to errFunc
    *
@@ -377,6 +1037,21 @@ class hartnet extends EventEmitter {
     }
   }
 
+  /**
+   * Builds a packet with the Art-Net codec, errors go to handleError
+   *
+   * @param {string} opcode - Packet name, e.g. 'ArtTrigger'
+   * @param {object} fields - Packet fields
+   * @returns {Buffer|undefined} - UDP payload, undefined if a field is invalid
+   */
+  encodePacket(opcode, fields) {
+    try {
+      return artnet.encode(opcode, fields);
+    } catch (err) {
+      this.handleError(err);
+    }
+  }
+
   /**
    * Returns a new sender instance
    *
@@ -402,6 +1077,9 @@ class hartnet extends EventEmitter {
   newReceiver(options) {
     var r = new Receiver(options, this);
     this.receivers.push(r);
+    r.on('source-lost', () => this.emit('source-lost', r));
+    r.on('source-restored', () => this.emit('source-restored', r));
+    if (r.options.protocol === 'sacn') this.sacnJoin(r);
     // if (this.timeoutReply) clearTimeout(this.timeoutReply);
     // this.timeoutReply = setTimeout(() => {
     //   this.ArtPollReply();
@@ -410,157 +1088,607 @@ class hartnet extends EventEmitter {
   }
 
   /**
-   * Builds and sends an ArtPoll-Packet
+   * Refreshes the unicast destinations of auto_unicast senders from the known nodes
    */
-  ArtPoll() {
-    if (!this.socket_ready) return;
+  updateSenderTargets() {
+    for (const sender of this.senders) sender.updateTargets();
+  }
 
-    // ArtPoll packet format: ID Int8[8], OpCode Int16 0x2000 (conv. to 0x0020), ProtVer Int16, TalkToMe Int8, Priority Int8
-    const ArtPollFormat = '!7sBHHBB';
-    const ArtPollPacket = Buffer.from(jspack.Pack(
-      ArtPollFormat,
-      ['Art-Net', 0, 0x0020, 14, 0, 0]
-    ));
+  /**
+   * Finds a known node
+   *
+   * @param {string} key - Node id, MAC, IP (of any page) or short name
+   * @returns {Node|undefined} - Node
+   */
+  findNode(key) {
+    if (this.nodes.has(key)) return this.nodes.get(key);
+    for (const node of this.nodes.values())
+      if (node.mac === key || node.shortName === key || Object.values(node.pages).some((page) => page.ip === key)) return node;
+  }
 
-    // Send UDP
-    this.socket.send(ArtPollPacket, 0, ArtPollPacket.length, this.options.port, this.pollTo, (err) => {
-      if (err) this.handleError(err);
-      this.logger.debug('<- ArtPoll packet sent to ' + this.pollTo + ':' + this.options.port);
-    });
+  /**
+   * Finds the output ports of known nodes for a universe, e.g. to unicast to them
+   *
+   * @param {number} port_address - Port address (0-32767)
+   * @returns {Array} - [{node, port}]
+   */
+  findOutputs(port_address) {
+    const result = [];
+    for (const node of this.nodes.values())
+      for (const port of Object.values(node.outPorts))
+        if (port.port_address === port_address) result.push({ node, port });
+    return result;
   }
 
   /**
-   * Builds and sends an ArtPollReply-Packet
+   * Finds the input ports of known nodes for a universe
+   *
+   * @param {number} port_address - Port address (0-32767)
+   * @returns {Array} - [{node, port}]
    */
-  ArtPollReply() {
-    const ArtPollReplyFormat = '!7sBHBBBBHHBBHBBH18s64s64sH4B4B4B4B4B3HB6B4BBBB';
-    const stateString = '#0001 [' + ('000' + this.artPollReplyCount).slice(-4) + '] hartnet ArtNet-Transceiver running';
-    
-    const createPacket = (iface, devices, bindIndex) => {
-      const basePacket = [
-        'Art-Net', 0, 0x0021,
-        ...iface.ip.split('.').map(i => parseInt(i)),
-        this.options.port,
-        0x0001, 0, 0, this.options.oem,
-        0, 0b11010000, swap16(this.options.esta),
-        this.options.sName.substring(0, 16), this.options.lName.substring(0, 63), stateString,
-        Math.min(devices.length, 4), 0, 0, 0, 0,
-        0, 0, 0, 0, 0, 0, 0, 0,
-        0, 0, 0, 0, 0, 0, 0, 0,
-        0, 0, 0, 0,  // Changed 0x01 to 0 for Spare field
-        ...iface.mac.split(':').map(i => parseInt(i, 16)),
-        ...iface.ip.split('.').map(i => parseInt(i)),
-        1, 0b00001110, bindIndex,
-      ];
-  
-      basePacket[10] = devices[0].options.net;
-      basePacket[11] = devices[0].options.subnet;
-  
-      let portTypes = 0;
-      let goodInput = 0;
-      let goodOutput = 0;
-      let swIn = 0;
-      let swOut = 0;
-  
-      devices.slice(0, 4).forEach((device, index) => {
-        const isSender = device instanceof Sender;
-        portTypes |= (isSender ? 0x40 : 0x80) << (index * 8);
-        if (isSender) {
-          goodOutput |= 0x01 << index;
-          swOut |= (device.options.universe & 0x0F) << (index * 4);
-        } else {
-          goodInput |= 0x01 << index;
-          swIn |= (device.options.universe & 0x0F) << (index * 4);
-        }
-      });
-  
-      basePacket[19] = (portTypes >> 24) & 0xFF;
-      basePacket[20] = (portTypes >> 16) & 0xFF;
-      basePacket[21] = (portTypes >> 8) & 0xFF;
-      basePacket[22] = portTypes & 0xFF;
-      basePacket[23] = goodInput & 0xFF;  // Changed to only use the lowest byte
-      basePacket[24] = 0;
-      basePacket[25] = 0;
-      basePacket[26] = 0;
-      basePacket[27] = goodOutput & 0xFF;  // Changed to only use the lowest byte
-      basePacket[28] = 0;
-      basePacket[29] = 0;
-      basePacket[30] = 0;
-      basePacket[31] = swIn & 0xFF;
-      basePacket[32] = (swIn >> 8) & 0xFF;
-      basePacket[33] = (swIn >> 16) & 0xFF;
-      basePacket[34] = (swIn >> 24) & 0xFF;
-      basePacket[35] = swOut & 0xFF;
-      basePacket[36] = (swOut >> 8) & 0xFF;
-      basePacket[37] = (swOut >> 16) & 0xFF;
-      basePacket[38] = (swOut >> 24) & 0xFF;
-  
+  findInputs(port_address) {
+    const result = [];
+    for (const node of this.nodes.values())
+      for (const port of Object.values(node.inPorts))
+        if (port.port_address === port_address) result.push({ node, port });
+    return result;
+  }
 
-      return Buffer.from(jspack.Pack(ArtPollReplyFormat, basePacket));
-    };
-  
-    // Group devices by interface, net, and subnet
-    const groupedDevices = new Map();
-    [...this.senders, ...this.receivers].forEach(device => {
-      device.interfaces.forEach(iface => {
-        const key = `${iface.ip}-${device.options.net}-${device.options.subnet}`;
-        if (!groupedDevices.has(key)) {
-          groupedDevices.set(key, { iface, net: device.options.net, subnet: device.options.subnet, devices: [] });
-        }
-        groupedDevices.get(key).devices.push(device);
-      });
-    });
-  
-    // Send packets for each group, using BindIndex for groups with more than 4 devices
-    for (const { iface, net, subnet, devices } of groupedDevices.values()) {
-      const broadcastip = iface.netmask.broadcast;
-      const packetCount = Math.ceil(devices.length / 4);
-      
-      for (let i = 0; i < packetCount; i++) {
-        const packetDevices = devices.slice(i * 4, (i + 1) * 4);
-        const udppacket = createPacket(iface, packetDevices, i);
-        this.socket.send(udppacket, 0, udppacket.length, 6454, broadcastip, (err) => {
+  /**
+   * Returns the status of every receiver universe
+   *
+   * @returns {Array} - [{protocol, port_address, state, last, sources}], state is 'waiting', 'active' or 'lost'
+   */
+  status() {
+    return this.receivers.map((r) => r.status());
+  }
+
+  /**
+   * Returns a new router instance
+   *
+   * @param {object} config - {routes: [route config, ...]}
+   * @returns {Router} - Instance of Router
+   */
+  newRouter(config) {
+    const tool = new Router(config, this);
+    this.tools.push(tool);
+    return tool;
+  }
+
+  /**
+   * Returns a new recorder instance
+   *
+   * @param {object} options - Options for the new recorder
+   * @returns {Recorder} - Instance of Recorder
+   */
+  newRecorder(options) {
+    const tool = new Recorder(options, this);
+    this.tools.push(tool);
+    return tool;
+  }
+
+  /**
+   * Returns a new player instance
+   *
+   * @param {object} options - Options for the new player
+   * @returns {Player} - Instance of Player
+   */
+  newPlayer(options) {
+    const tool = new Player(options, this);
+    this.tools.push(tool);
+    return tool;
+  }
+
+  /**
+   * Returns a new timecode generator
+   *
+   * @param {object} options - Options for the new generator
+   * @returns {TimecodeGenerator} - Instance of TimecodeGenerator
+   */
+  newTimecode(options = {}) {
+    const tool = new timecode.TimecodeGenerator(options, this);
+    this.tools.push(tool);
+    return tool;
+  }
+
+  /**
+   * Builds and sends an ArtTimeCode-Packet
+   *
+   * @param {object} tc - {hours, minutes, seconds, frames, type ('Film', 'EBU', 'DF' or 'SMPTE')}
+   * @param {string} to - IP to send to, default to ArtPoll destination
+   * @param {number} streamId - Stream, default 0 (master)
+   */
+  ArtTimeCode(tc, to = this.pollTo, streamId = 0) {
+    if (!this.socket_ready) return;
+    const type = timecode.TYPES.indexOf(tc.type || 'SMPTE');
+    if (type < 0) return this.handleError(new Error('Invalid timecode type: must be Film, EBU, DF or SMPTE'));
+
+    const ArtTimeCodePacket = this.encodePacket('ArtTimeCode', {
+      streamId, frames: tc.frames, seconds: tc.seconds, minutes: tc.minutes, hours: tc.hours, type
+    });
+    if (!ArtTimeCodePacket) return;
+
+    for (const ip of this.destinations(to))
+      this.socket.send(ArtTimeCodePacket, 0, ArtTimeCodePacket.length, this.options.port, ip, (err) => {
+        if (err) this.handleError(err);
+        this.logger.trace('<- ArtTimeCode packet sent to ' + ip + ':' + this.options.port);
+      });
+  }
+
+  /**
+   * Builds and sends an ArtTrigger-Packet
+   *
+   * @param {Node|string} node - Node or IP, default to ArtPoll destination (broadcast)
+   * @param {object} fields - {key, subKey, data (Buffer or Array, max. 512 bytes), oem (default 0xFFFF: all)}
+   */
+  ArtTrigger(node, fields = {}) {
+    const ip = node ? (node.ip || node) : this.pollTo;
+    let key = fields.key || 0;
+    if (typeof key === 'string') key = TRIGGER_KEYS.indexOf(key.toLowerCase());
+    if (!(key >= 0 && key <= 255)) return this.handleError(new Error('Invalid ArtTrigger key'));
+    const subKey = typeof fields.subKey === 'string' ? fields.subKey.charCodeAt(0) : (fields.subKey || 0);
+    const oem = fields.oem !== undefined ? fields.oem : 0xFFFF;
+
+    const ArtTriggerPacket = this.encodePacket('ArtTrigger', { oem, key, subKey, data: fields.data });
+    if (!ArtTriggerPacket) return;
+
+    for (const dest of this.destinations(ip))
+      this.socket.send(ArtTriggerPacket, 0, ArtTriggerPacket.length, this.options.port, dest, (err) => {
+        if (err) this.handleError(err);
+        this.logger.debug('<- ArtTrigger packet sent to ' + dest + ':' + this.options.port);
+      });
+  }
+
+  /**
+   * Builds and sends an ArtCommand-Packet
+   *
+   * @param {Node|string} node - Node or IP, default to ArtPoll destination (broadcast)
+   * @param {string|object} commands - 'Command=Value&...' or {Command: value, ...}
+   * @param {number} esta - ESTA manufacturer code of the recipients, default 0xFFFF (all)
+   */
+  ArtCommand(node, commands, esta = 0xFFFF) {
+    const ip = node ? (node.ip || node) : this.pollTo;
+    const text = (typeof commands === 'string') ? commands
+      : Object.entries(commands).map(([command, value]) => command + '=' + value + '&').join('');
+    const ArtCommandPacket = this.encodePacket('ArtCommand', { estaMan: esta, data: text });
+    if (!ArtCommandPacket) return;
+
+    for (const dest of this.destinations(ip))
+      this.socket.send(ArtCommandPacket, 0, ArtCommandPacket.length, this.options.port, dest, (err) => {
+        if (err) this.handleError(err);
+        this.logger.debug('<- ArtCommand packet sent to ' + dest + ':' + this.options.port);
+      });
+  }
+
+  /**
+   * Builds and sends an ArtPoll-Packet
+   */
+  ArtPoll() {
+    if (!this.socket_ready) return;
+
+    const ArtPollPacket = artnet.encode('ArtPoll', { estaMan: this.options.esta, oem: this.options.oem });
+
+    // Send UDP
+    for (const ip of this.destinations(this.pollTo))
+      this.socket.send(ArtPollPacket, 0, ArtPollPacket.length, this.options.port, ip, (err) => {
+        if (err) this.handleError(err);
+        this.logger.debug('<- ArtPoll packet sent to ' + ip + ':' + this.options.port);
+      });
+  }
+
+  /**
+   * Builds and sends an ArtSync-Packet
+   *
+   * @param {Array} destinations - IPs to send to, default to the broadcast address of every sender
+   */
+  ArtSync(destinations = this.syncDestinations(this.senders)) {
+    if (!this.socket_ready) return;
+
+    const ArtSyncPacket = artnet.encode('ArtSync');
+
+    for (const ip of destinations)
+      this.socket.send(ArtSyncPacket, 0, ArtSyncPacket.length, this.options.port, ip, (err) => {
+        if (err) this.handleError(err);
+        this.logger.debug('<- ArtSync packet sent to ' + ip + ':' + this.options.port);
+      });
+  }
+
+  /**
+   * Transmits several senders, then a single ArtSync so that nodes output them at once
+   *
+   * @param {Array} senders - Senders to transmit, default to all senders
+   */
+  transmitSync(senders = this.senders) {
+    senders = senders.filter((sender) => sender.options.protocol !== 'sacn');
+    senders.forEach((sender) => sender.sendFrame());
+    this.ArtSync(this.syncDestinations(senders));
+  }
+
+  /**
+   * ArtSync is broadcast: returns the broadcast addresses reached by some senders
+   *
+   * @param {Array} senders - Senders to synchronize
+   * @returns {Set} - Broadcast IPs
+   */
+  syncDestinations(senders) {
+    const destinations = new Set();
+    for (const sender of senders) {
+      if (sender.options.protocol === 'sacn') continue;
+      if (sender.options.broadcast) this.destinations(sender.ip4).forEach((ip) => destinations.add(ip));
+      else sender.interfaces.forEach((iface) => destinations.add(iface.netmask.broadcast));
+    }
+    return destinations;
+  }
+
+  /**
+   * Groups the Art-Net senders and receivers of an interface by net and subnet,
+   * in pages of max. 4 ports. Each page is announced by one ArtPollReply.
+   *
+   * @param {object} iface - Interface in use, from hub.interfaces
+   * @returns {Array} - [{bindIndex, net, subnet, devices}], bindIndex starting at 1
+   */
+  portPages(iface) {
+    const groups = new Map();
+    for (const device of [...this.senders, ...this.receivers]) {
+      if (device.options.protocol === 'sacn' || device.range || !device.interfaces.includes(iface)) continue;
+      const key = `${device.options.net}-${device.options.subnet}`;
+      if (!groups.has(key)) groups.set(key, { net: device.options.net, subnet: device.options.subnet, devices: [] });
+      groups.get(key).devices.push(device);
+    }
+
+    const pages = [];
+    for (const { net, subnet, devices } of groups.values())
+      for (let i = 0; i < devices.length; i += 4)
+        pages.push({ bindIndex: pages.length + 1, net, subnet, devices: devices.slice(i, i + 4) });
+    return pages;
+  }
+
+  /**
+   * Finds the page of ports addressed by an incoming ArtAddress / ArtInput
+   *
+   * @param {number} bindIndex - BindIndex of the packet (0 and 1 are the root page)
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   * @returns {object|undefined} - Page from portPages
+   */
+  findPage(bindIndex, rinfo) {
+    const iface = this.interfaces.find((i) => i.netmask.contains(rinfo.address)) || this.interfaces[0];
+    if (!iface) return;
+    return this.portPages(iface).find((page) => page.bindIndex === Math.max(bindIndex, 1));
+  }
+
+  /**
+   * Builds and sends an ArtAddress-Packet to program a remote node
+   *
+   * @param {Node|string} node - Node or IP to program
+   * @param {object} fields - {bindIndex, shortName, longName, net, subnet, swIn: [], swOut: [], command}, omitted fields are left unchanged
+   */
+  ArtAddress(node, fields = {}) {
+    const ip = node.ip || node;
+    const program = (value, mask) => (value === undefined || value === null) ? 0x7F : 0x80 | (value & mask);
+    const ports = (values = []) => [0, 1, 2, 3].map((i) => program(values[i], 0x0F));
+
+    const ArtAddressPacket = this.encodePacket('ArtAddress', {
+      netSwitch: program(fields.net, 0x7F), bindIndex: fields.bindIndex || 1,
+      shortName: (fields.shortName || '').substring(0, 17), longName: (fields.longName || '').substring(0, 63),
+      swIn: ports(fields.swIn), swOut: ports(fields.swOut),
+      subSwitch: program(fields.subnet, 0x0F), acnPriority: 0xFF, command: fields.command || 0
+    });
+    if (!ArtAddressPacket) return;
+
+    this.socket.send(ArtAddressPacket, 0, ArtAddressPacket.length, this.options.port, ip, (err) => {
+      if (err) this.handleError(err);
+      this.logger.debug('<- ArtAddress packet sent to ' + ip + ':' + this.options.port);
+    });
+  }
+
+  /**
+   * Builds and sends an ArtInput-Packet to enable or disable inputs of a remote node
+   *
+   * @param {Node|string} node - Node or IP to program
+   * @param {object} fields - {bindIndex, disable: [bool, bool, bool, bool]}
+   */
+  ArtInput(node, fields = {}) {
+    const ip = node.ip || node;
+    const disable = (fields.disable || []).slice(0, 4);
+
+    const ArtInputPacket = this.encodePacket('ArtInput', {
+      bindIndex: fields.bindIndex || 1, numPorts: disable.length,
+      input: [0, 1, 2, 3].map((i) => disable[i] ? 0x01 : 0x00)
+    });
+    if (!ArtInputPacket) return;
+
+    this.socket.send(ArtInputPacket, 0, ArtInputPacket.length, this.options.port, ip, (err) => {
+      if (err) this.handleError(err);
+      this.logger.debug('<- ArtInput packet sent to ' + ip + ':' + this.options.port);
+    });
+  }
+
+  /**
+   * Builds and sends ArtTodRequest-Packets, nodes answer with ArtTodData
+   *
+   * @param {Node|string} node - Node or IP, default to ArtPoll destination
+   * @param {Array} port_addresses - 15 bit port addresses to request
+   */
+  ArtTodRequest(node, port_addresses) {
+    const ip = node ? (node.ip || node) : this.pollTo;
+
+    // One packet per net, max. 32 addresses each
+    const nets = new Map();
+    for (const port_address of port_addresses) {
+      const net = port_address >> 8;
+      if (!nets.has(net)) nets.set(net, []);
+      nets.get(net).push(port_address & 0xFF);
+    }
+
+    for (const [net, addresses] of nets)
+      for (let i = 0; i < addresses.length; i += 32) {
+        const chunk = addresses.slice(i, i + 32);
+        const ArtTodRequestPacket = this.encodePacket('ArtTodRequest', { net, command: 0x00, address: chunk });
+        if (!ArtTodRequestPacket) return;
+        for (const dest of this.destinations(ip))
+          this.socket.send(ArtTodRequestPacket, 0, ArtTodRequestPacket.length, this.options.port, dest, (err) => {
+            if (err) this.handleError(err);
+            this.logger.debug('<- ArtTodRequest packet sent to ' + dest + ' / net: ' + net + ' / addresses: ' + chunk);
+          });
+      }
+  }
+
+  /**
+   * Builds and sends an ArtTodControl-Packet
+   *
+   * @param {Node|string} node - Node or IP
+   * @param {number} port_address - 15 bit port address
+   * @param {number} command - 0x01 AtcFlush (full discovery), 0x02 AtcEnd, 0x03 AtcIncOn, 0x04 AtcIncOff
+   */
+  ArtTodControl(node, port_address, command = 0x01) {
+    const ip = node.ip || node;
+    const ArtTodControlPacket = this.encodePacket('ArtTodControl', { net: port_address >> 8, command, address: port_address & 0xFF });
+    if (!ArtTodControlPacket) return;
+    this.socket.send(ArtTodControlPacket, 0, ArtTodControlPacket.length, this.options.port, ip, (err) => {
+      if (err) this.handleError(err);
+      this.logger.debug('<- ArtTodControl packet sent to ' + ip + ' / addr: ' + port_address + ' / command: ' + command);
+    });
+  }
+
+  /**
+   * Sends a RDM GET request through ArtRdm
+   *
+   * @param {Node|string} node - Node or IP
+   * @param {number} port_address - 15 bit port address of the fixture
+   * @param {string} uid - Fixture UID 'MMMM:DDDDDDDD'
+   * @param {string|number} pid - Parameter ID, number or name from rdm PIDS
+   * @param {*} data - Optional parameter data
+   * @returns {Promise} - Resolves with the decoded response
+   */
+  rdmGet(node, port_address, uid, pid, data) {
+    return this.rdmRequest(node, port_address, uid, rdm.GET_COMMAND, pid, data);
+  }
+
+  /**
+   * Sends a RDM SET request through ArtRdm
+   *
+   * @param {Node|string} node - Node or IP
+   * @param {number} port_address - 15 bit port address of the fixture
+   * @param {string} uid - Fixture UID 'MMMM:DDDDDDDD'
+   * @param {string|number} pid - Parameter ID, number or name from rdm PIDS
+   * @param {*} value - Value to set, or Buffer of parameter data
+   * @returns {Promise} - Resolves once acknowledged
+   */
+  rdmSet(node, port_address, uid, pid, value) {
+    return this.rdmRequest(node, port_address, uid, rdm.SET_COMMAND, pid, value);
+  }
+
+  /**
+   * Sends a RDM request and returns a Promise settled by the response
+   */
+  rdmRequest(node, port_address, uid, commandClass, pid, value) {
+    return new Promise((resolve, reject) => {
+      try {
+        pid = rdm.pidFromName(pid);
+        uid = rdm.uidToString(rdm.uidFromString(uid));
+        this.rdmSend({
+          ip: node.ip || node, port_address, uid, commandClass, pid,
+          data: rdm.encodeData(pid, value),
+          overflow: [], resolve, reject
+        });
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * Builds and sends an ArtRdm-Packet for a pending request
+   *
+   * @param {object} pending - Request, resolve and reject of rdmRequest
+   */
+  rdmSend(pending) {
+    const transaction = this.rdmTransaction;
+    this.rdmTransaction = (this.rdmTransaction + 1) % 256;
+
+    const key = pending.uid + '-' + transaction;
+    pending.timer = setTimeout(() => {
+      this.rdmPending.delete(key);
+      pending.reject(new Error('RDM request timeout: ' + pending.uid + ' / pid: 0x' + pending.pid.toString(16)));
+    }, this.options.rdm_timeout);
+    this.rdmPending.set(key, pending);
+
+    const message = rdm.encode({
+      destination: pending.uid,
+      source: this.rdmUid,
+      transaction: transaction,
+      commandClass: pending.commandClass,
+      pid: pending.pid,
+      data: pending.data
+    });
+
+    // RDM packet without start code
+    const ArtRdmPacket = artnet.encode('ArtRdm', {
+      net: pending.port_address >> 8, command: 0x00, address: pending.port_address & 0xFF, rdmPd: message
+    });
+
+    this.socket.send(ArtRdmPacket, 0, ArtRdmPacket.length, this.options.port, pending.ip, (err) => {
+      if (err) this.handleError(err);
+      this.logger.debug('<- ArtRdm packet sent to ' + pending.ip + ' / uid: ' + pending.uid + ' / pid: 0x' + pending.pid.toString(16));
+    });
+  }
+
+  /**
+   * Sets the NodeReport of the next ArtPollReply
+   *
+   * @param {number} code - Report code, see artnet.NODE_REPORT
+   * @param {string} text - Report text
+   */
+  setNodeReport(code, text) {
+    this.nodeReport = { code, text: String(text) };
+    this.logger.debug('Node report: #' + ('000' + code.toString(16)).slice(-4) + ' ' + text);
+  }
+
+  /**
+   * Builds and sends ArtPollReply-Packets
+   *
+   * @param {dgram.RemoteInfo} rinfo - Request answered: reply on its interface only, default all interfaces in use
+   * @param {boolean} unicast - Reply to the requester instead of broadcasting
+   * @param {object} target - Targeted ArtPoll {bottom, top}: only pages with a port in the range, default all
+   */
+  ArtPollReply(rinfo, unicast = false, target = null) {
+    const FAILSAFE = { hold: 0b00, blackout: 0b01, full: 0b10, scene: 0b11 };
+    const now = Date.now();
+
+    const createPacket = (iface, devices, bindIndex) => {
+      // '#xxxx [yyyy] text': report code in hex, counter of ArtPollReply sent
+      const nodeReport = '#' + ('000' + this.nodeReport.code.toString(16)).slice(-4)
+        + ' [' + ('000' + this.artPollReplyCount).slice(-4) + '] ' + this.nodeReport.text;
+      const receiver = devices.find((device) => device instanceof Receiver);
+
+      const fields = {
+        ipAddress: iface.ip,
+        port: this.options.port,
+        versInfo: 0x0001,
+        netSwitch: devices[0].options.net,
+        subSwitch: devices[0].options.subnet,
+        oem: this.options.oem,
+        status1: 0b11100000,  // Indicators normal, port addresses programmed by network (ArtAddress)
+        estaMan: this.options.esta,
+        shortName: this.options.sName.substring(0, 17),
+        longName: this.options.lName.substring(0, 63),
+        nodeReport: nodeReport.substring(0, 63),
+        numPorts: Math.min(devices.length, 4),
+        portTypes: [0, 0, 0, 0],
+        goodInput: [0, 0, 0, 0],
+        goodOutputA: [0, 0, 0, 0],
+        swIn: [0, 0, 0, 0],
+        swOut: [0, 0, 0, 0],
+        style: 0x00,          // StNode
+        mac: iface.mac,
+        bindIp: iface.ip,
+        bindIndex,
+        status2: 0b00001000,  // 15-bit port addresses
+        goodOutputB: [0, 0, 0, 0],
+        // Failsafe of the receivers, programmable by ArtAddress
+        status3: ((receiver ? FAILSAFE[receiver.options.failsafe] : 0) << 6) | 0b00100000,
+        refreshRate: Math.min(Math.round(this.options.frame_rate), 0xFFFF),
+      };
+
+      // One byte per port: PortTypes[4], GoodInput[4], GoodOutputA[4], SwIn[4], SwOut[4], GoodOutputB[4]
+      // Senders are Art-Net input ports (DMX into the network), receivers are output ports
+      devices.slice(0, 4).forEach((device, index) => {
+        if (device instanceof Sender) {
+          fields.portTypes[index] = 0x80;
+          fields.goodInput[index] = (device.enabled && now - (device.lastSent || 0) < 4000 ? 0x80 : 0)  // Data received
+            | (device.enabled ? 0 : 0x08);                                                              // Input disabled
+          fields.swIn[index] = device.options.universe & 0x0F;
+        } else {
+          fields.portTypes[index] = 0x40;
+          fields.goodOutputA[index] = (device.state === 'active' ? 0x80 : 0)  // Data transmitted
+            | (device.merging ? 0x08 : 0)                                     // Merging
+            | (device.options.merge === 'ltp' ? 0x02 : 0);                    // Merge mode LTP
+          fields.goodOutputB[index] = 0b11100000;  // RDM disabled, continuous output, no discovery running
+          fields.swOut[index] = device.options.universe & 0x0F;
+        }
+      });
+
+      return artnet.encode('ArtPollReply', fields);
+    };
+
+    // Reply on the interface of the request only, all interfaces in use otherwise.
+    // A request from another subnet (routed controller) is answered by unicast, from the first interface in use
+    let interfaces = this.interfaces;
+    if (rinfo) {
+      interfaces = this.interfaces.filter((iface) => iface.netmask.contains(rinfo.address)).slice(0, 1);
+      if (interfaces.length < 1) {
+        this.logger.debug('No interface on the subnet of ' + rinfo.address + ', unicast reply');
+        interfaces = this.interfaces.slice(0, 1);
+        unicast = true;
+      }
+    }
+
+    // Send one packet per page of each interface
+    for (const iface of interfaces) {
+      const destination = (rinfo && unicast) ? rinfo.address : iface.netmask.broadcast;
+      for (const { bindIndex, net, subnet, devices } of this.portPages(iface)) {
+        if (target && !devices.some((device) => device.port_address >= target.bottom && device.port_address <= target.top)) continue;
+        const udppacket = createPacket(iface, devices, bindIndex);
+        this.artPollReplyCount = (this.artPollReplyCount + 1) % 10000;
+        this.socket.send(udppacket, 0, udppacket.length, 6454, destination, (err) => {
           if (err) this.handleError(err);
-          this.logger.debug(`<- ArtPollReply (${packetDevices.length} ports, BindIndex: ${i}, Net: ${net}, Subnet: ${subnet}) to ${broadcastip}`);
+          this.logger.debug(`<- ArtPollReply (${devices.length} ports, BindIndex: ${bindIndex}, Net: ${net}, Subnet: ${subnet}) to ${destination}`);
         });
       }
     }
-  
-    this.artPollReplyCount = (this.artPollReplyCount + 1) % 10000;
+
     this.last_poll_reply = new Date().getTime();
   }
 }
 
 /**
- * Class representing a Node
+ * Class representing a Node: a physical device, with its pages of ports
  */
 class Node {
-  constructor(mac) {
-    this.mac = mac;  // Unique identifier
+  constructor(id) {
+    this.id = id;    // Unique identifier: MAC, or root IP without MAC
+    this.mac = null;
     this.ip = null;
+    this.bindIp = null;  // IP of the root device
     this.shortName = '';
     this.longName = '';
-    this.status = '';
+    this.status = '';    // NodeReport
+    this.firmware = 0;   // VersInfo
+    this.oem = 0;
+    this.esta = 0;
+    this.style = 0;      // 0x00 StNode, 0x01 StController, ...
+    this.status1 = 0;
+    this.status2 = 0;
+    this.status3 = 0;
     this.lastUpdate = 0;
-    this.inPorts = {};  // Dict of portNumber to {net, subnet, universe, ip, portNumber, isGood}
+    this.pages = {};    // Dict of BindIndex to {bindIndex, ip, net, subnet, numPorts}
+    this.inPorts = {};  // Dict of portNumber to {net, subnet, universe, port_address, ip, portNumber, isGood}
     this.outPorts = {}; // Same structure as inPorts
+    this.tod = {};      // Dict of port address to RDM UIDs, from ArtTodData
   }
 
-  updateFromArtPollReply(data) {
-    // Check mac
-    if (this.mac !== data.mac) return;
-    
+  updateFromArtPollReply(data, interfaces) {
     // copy current data
     const oldData = JSON.stringify(this);
 
     // Update basic info
+    this.mac = data.mac;
     this.ip = data.ip;
+    this.bindIp = data.bindIp;
     this.longName = data.longName;
     this.shortName = data.shortName;
-    
-    // Update ports
-    this.updatePorts(data.inPorts, this.inPorts);
-    this.updatePorts(data.outPorts, this.outPorts);
+    this.firmware = data.firmware;
+    this.oem = data.oem;
+    this.esta = data.esta;
+    this.style = data.style;
+    this.status1 = data.status1;
+    this.status2 = data.status2;
+    this.status3 = data.status3;
+    this.pages[data.bindIndex] = { bindIndex: data.bindIndex, ip: data.ip, net: data.net, subnet: data.subNet, numPorts: data.numPorts };
+
+    // Update ports, replacing the ones of the page
+    this.updatePorts(data.inPorts, this.inPorts, data.bindIndex, interfaces);
+    this.updatePorts(data.outPorts, this.outPorts, data.bindIndex, interfaces);
     
     // Check if something changed
     let didChange = (oldData !== JSON.stringify(this))
@@ -573,13 +1701,15 @@ class Node {
     return didChange;
   }
 
-  updatePorts(newPorts, existingPorts) {
+  updatePorts(newPorts, existingPorts, bindIndex, interfaces) {
+    for (let i = 0; i < 4; i++) delete existingPorts[(bindIndex - 1) * 4 + i];
     newPorts.forEach(port => {
-      if (this.isCompatibleWithLocalInterfaces(port.ip)) {
+      if (this.isCompatibleWithLocalInterfaces(port.ip, interfaces)) {
         existingPorts[port.portNumber] = {
           net: port.net,
           subnet: port.subnet,
           universe: port.universe,
+          port_address: port.port_address,
           ip: port.ip,
           portNumber: port.portNumber,
           isGood: port.isGood
@@ -588,8 +1718,8 @@ class Node {
     });
   }
 
-  isCompatibleWithLocalInterfaces(remoteIp) {
-    return INTERFACES.some(iface => {
+  isCompatibleWithLocalInterfaces(remoteIp, interfaces) {
+    return interfaces.some(iface => {
       return iface.ip === remoteIp || iface.netmask.contains(remoteIp);
     });
   }
@@ -608,16 +1738,23 @@ class Node {
 class Sender {
   
   options = {
+    protocol: 'artnet',
     net: 0,
     subnet: 0,
     universe: 0,
     to: '255.255.255.255',
     broadcast: false,
     port: 6454,
-    base_refresh_interval: 1000
+    base_refresh_interval: 1000,  // Keep-alive of unchanged values (800-4000 ms), 0 to disable
+    channels: 0,          // Channels transmitted (1-512), 0 for up to the highest channel used
+    fade_rate: 40,        // Frames per second while fading
+    auto_unicast: false,  // Unicast to discovered nodes outputting this universe, 'to' if none
+    priority: 100,        // sACN only
+    source_name: null,    // sACN only, default to hub name
   }
 
   interfaces = []
+  targets = []  // auto_unicast destinations
 
   constructor(opt, parent) 
   {
@@ -627,39 +1764,92 @@ class Sender {
     for (var key in this.options) 
       this.options[key] = opt[key] !== undefined ? opt[key] : this.options[key];
 
-    // Calculate Net/Subnet/Universe
-    this.options.subnet += this.options.universe >> 4;
-    this.options.universe = this.options.universe & 0x0F;
-    this.options.net += this.options.subnet >> 4;
-    this.options.subnet = this.options.subnet & 0x0F;
-    
+    if (this.options.protocol === 'sacn') {
+      // sACN universe is used as is, destination defaults to its multicast group
+      if (this.options.universe < 1 || this.options.universe > 63999) {
+        this.parent.handleError(new Error('Invalid sACN universe: must be between 1 and 63999'));
+      }
+      if (this.options.priority < 0 || this.options.priority > 200) {
+        this.parent.handleError(new Error('Invalid sACN priority: must be between 0 and 200'));
+      }
+      if (opt.port === undefined) this.options.port = sacn.PORT;
+      if (opt.to === undefined) this.options.to = sacn.multicastGroup(this.options.universe);
+      if (this.options.source_name == null) this.options.source_name = this.parent.options.name;
+      this.port_address = this.options.universe;
+      this.cid = Buffer.from(this.parent.cid.replace(/-/g, ''), 'hex');
+    }
+    else this.setAddress(this.options.net, this.options.subnet, this.options.universe);
 
-    // Build Subnet/Universe/Net Int16
-    this.port_subuni =  (this.options.subnet << 4) | this.options.universe;
-    this.port_address = (this.options.net << 8) | this.port_subuni;
-    if (this.port_address > 32767) {
-      this.handleError(new Error('Invalid Port Address: net * subnet * universe must be smaller than 32768'));
+    if (this.options.channels < 0 || this.options.channels > 512) {
+      this.parent.handleError(new Error('Invalid channels: must be between 0 and 512'));
+    }
+    const refresh = this.options.base_refresh_interval;
+    if (refresh > 0 && (refresh < 800 || refresh > 4000)) {
+      this.options.base_refresh_interval = Math.min(4000, Math.max(800, refresh));
+      this.parent.logger.warn('Sender: base_refresh_interval out of the 800-4000 ms keep-alive window, set to ' + this.options.base_refresh_interval);
     }
     
     // Initialize values
+    this.enabled = true;
     this.socket_ready = false;
+    this.unreachable = false;  // Send failed for lack of network, see sendFailed
     this.ArtDmxSeq = 1;
-    this.values = new Array(512).fill(0);
+    this.sacnSeq = 0;
+    this.values = Buffer.alloc(512);
+    this.highest = 0;  // Channels used so far, for the frame length
+    this.fades = new Map();  // channel -> {from, to, start, duration, curve, fade}
+    this.fixtures = [];
+
+    // Find IP destination and corresponding interfaces
+    this.resolveInterfaces();
+
+    // Unicast to nodes found by ArtPoll
+    if (this.options.auto_unicast) {
+      if (this.options.protocol === 'sacn') this.parent.handleError(new Error('auto_unicast is not supported with sACN'));
+      if (!(this.parent.options.poll_interval > 0))
+        this.parent.logger.warn('Sender: auto_unicast without poll_interval, nodes will only be found when polled by others');
+      this.updateTargets();
+    }
+    
+    // Create Socket
+    this.socket = this.parent.transport.createSocket('udp4');
+    
+    // Check IP and Broadcast, send from the bound interface
+    this.socket.bind({ address: this.parent.sourceAddress() }, () => {
+        this.socket.setBroadcast( this.options.broadcast );
+        if (this.options.protocol === 'sacn' && this.parent.bound && this.interfaces.length > 0)
+          this.socket.setMulticastInterface(this.interfaces[0].ip);
+        this.socket_ready = true;
+      });
+
+    // Start sending
+    this.parent.logger.info(`SENDER started: ${JSON.stringify(this.options)}`);
+    
+    // Transmit first Frame, then keep-alive every base_refresh_interval ms
+    this.parent.scheduler.add(this);
+  }
+
+  /**
+   * Finds the IP destination and the corresponding interfaces, again when interfaces change
+   */
+  resolveInterfaces() {
+    const waiting = this.interfaces.length < 1;
+    this.interfaces = [];
+    this.ip4 = this.options.to;
 
-    // Find IP destination
-    // Get corresponding interfaces
     if (this.options.to === '255.255.255.255') {
-      this.ip4 = this.options.to
       this.options.broadcast = true;
-      this.interfaces = INTERFACES.slice();
+      this.interfaces = this.parent.interfaces.slice();
+    }
+    else if (new Netmask('224.0.0.0/4').contains(this.options.to)) {
+      this.interfaces = this.parent.interfaces.slice();
     }
     else {
-      for(var iface of INTERFACES) {
+      for(var iface of this.parent.interfaces) {
   
         if (iface.netmask.contains(this.options.to)) {
           if (this.options.to == iface.netmask.broadcast) this.options.broadcast = true;
           if (this.options.broadcast && iface.netmask.broadcast) this.ip4 = iface.netmask.broadcast;
-          else this.ip4 = this.options.to;
           this.interfaces.push(iface);
         }
       }
@@ -669,52 +1859,168 @@ class Sender {
     if (this.interfaces.length < 1) {
       this.parent.logger.warn('Sender: No matching interface found for '+this.options.to);
     }
-    
-    // Create Socket
-    this.socket = dgram.createSocket('udp4');
-    
-    // Check IP and Broadcast
-    this.socket.bind(() => {
-        this.socket.setBroadcast( this.options.broadcast );
-        this.socket_ready = true;
-      });
-
-    // Start sending
-    this.parent.logger.info(`SENDER started: ${JSON.stringify(this.options)}`);
-    
-    // Transmit first Frame
-    this.transmit();
-
-    // Send Frame every base_refresh_interval ms - even if no channel was changed
-    if ( this.options.base_refresh_interval > 0 )
-      this.interval = setInterval(() => {
+    if (this.socket_ready) {
+      this.socket.setBroadcast(this.options.broadcast);
+      // Interface up: restart output
+      if (waiting && this.interfaces.length > 0) {
+        this.unreachable = false;
         this.transmit();
-      }, this.options.base_refresh_interval);
+      }
+    }
+  }
+
+  /**
+   * Handles a send error: an unreachable network (interface not up yet, or gone) is logged once
+   * and frames are dropped until the interfaces are re-scanned, other errors go to handleError
+   *
+   * @param {Error} err - Send error
+   */
+  sendFailed(err) {
+    if (!['ENETUNREACH', 'EHOSTUNREACH', 'EADDRNOTAVAIL'].includes(err.code)) return this.parent.handleError(err);
+    if (!this.unreachable) this.parent.logger.warn('Sender ' + this.port_address + ': ' + err.message + ', frames dropped until the network is up');
+    this.unreachable = true;
   }
 
   /**
-   * Transmits the current values
+   * Transmits the current values with the next frame of the hub scheduler
    */
   transmit() {
-    if (!this.socket_ready) return
+    this.parent.scheduler.request(this);
+  }
 
-    // Build packet: ID Int8[8], OpCode Int16 0x5000 (conv. to 0x0050),
-    // ProtVer Int16, Sequence Int8, PhysicalPort Int8,
-    // SubnetUniverseNet Int16, Length Int16
-    var udppacket = Buffer.from(jspack.Pack('!7sBHHBBBBH' + '512B',
-      ['Art-Net', 0, 0x0050, 14, this.ArtDmxSeq, 0, this.port_subuni, this.options.net, 512].concat(this.values)));
-    // Increase Sequence Counter
-    this.ArtDmxSeq = (this.ArtDmxSeq + 1) % 256;
+  /**
+   * Sends a frame of the current values now
+   *
+   * @param {function} callback - Called once sent, or right away if nothing is sent
+   */
+  sendFrame(callback) {
+    if (!this.socket_ready) {
+      if (callback) callback();
+      return;
+    }
+    this.dirty = false;
+    this.lastSent = Date.now();
+    if (!this.enabled) {
+      if (callback) callback();
+      return;
+    }
+    if (this.options.protocol === 'sacn') return this.transmitSacn(false, callback);
+
+    // Build packet, see lib/artnet.js
+    const length = this.frameLength();
+    var udppacket = artnet.encode('ArtDmx', { sequence: this.ArtDmxSeq, portAddress: this.port_address, data: this.values.subarray(0, length) });
+    // Increase Sequence Counter, 1-255 (0 disables sequencing)
+    this.ArtDmxSeq = (this.ArtDmxSeq % 255) + 1;
       
     this.parent.logger.trace('----');
     this.parent.logger.trace('ArtDMX frame prepared for ' + this.port_address);
     this.parent.logger.trace('Packet content: ' + udppacket.toString('hex'));
     
+    // Send UDP, to discovered nodes or to 'to'
+    const destinations = this.targets.length > 0 ? this.targets : this.parent.destinations(this.ip4);
+    let pending = destinations.length;
+    if (pending === 0 && callback) callback();
+    for (const ip of destinations)
+      this.socket.send(udppacket, 0, udppacket.length, this.options.port, ip,
+        (err) => {
+          if (err) this.sendFailed(err);
+          this.parent.logger.debug('<- ArtDMX frame sent to ' + ip + ':' + this.options.port);
+          if (--pending === 0 && callback) callback();
+        });
+  }
+
+  /**
+   * Number of channels to transmit: the channels option, or up to the highest channel used so far.
+   * Rounded up to an even length, as required by ArtDmx.
+   *
+   * @returns {number} - Length (2-512)
+   */
+  frameLength() {
+    let length = this.options.channels;
+    if (!length) {
+      for (let ch = this.values.length - 1; ch >= this.highest; ch--)
+        if (this.values[ch]) {
+          this.highest = ch + 1;
+          break;
+        }
+      length = this.highest;
+    }
+    return Math.min(512, Math.max(2, length + (length % 2)));
+  }
+
+  /**
+   * auto_unicast: targets the nodes with an output port on this universe, reachable from our interfaces
+   */
+  updateTargets() {
+    if (!this.options.auto_unicast) return;
+
+    const targets = new Set();
+    for (const { port } of this.parent.findOutputs(this.port_address))
+      if (this.interfaces.some((iface) => iface.netmask.contains(port.ip))) targets.add(port.ip);
+
+    const list = Array.from(targets).sort();
+    if (list.join() === this.targets.join()) return;
+    this.targets = list;
+    if (list.length > 0) this.parent.logger.info('Sender ' + this.port_address + ': unicast to ' + list.join(', '));
+    else this.parent.logger.info('Sender ' + this.port_address + ': no node found, broadcast to ' + this.ip4);
+  }
+
+  /**
+   * Changes the Art-Net port address of the sender
+   *
+   * @param {number} net - net (0-127)
+   * @param {number} subnet - subnet (0-15), overflow goes to net
+   * @param {number} universe - universe (0-15), overflow goes to subnet
+   */
+  setAddress(net, subnet, universe) {
+    // Calculate Net/Subnet/Universe
+    subnet += universe >> 4;
+    universe = universe & 0x0F;
+    net += subnet >> 4;
+    subnet = subnet & 0x0F;
+
+    // Build Subnet/Universe/Net Int16
+    const port_subuni = (subnet << 4) | universe;
+    const port_address = (net << 8) | port_subuni;
+    if (port_address > 32767) {
+      return this.parent.handleError(new Error('Invalid Port Address: net * subnet * universe must be smaller than 32768'));
+    }
+
+    Object.assign(this.options, { net, subnet, universe });
+    this.port_subuni = port_subuni;
+    this.port_address = port_address;
+    this.updateTargets();
+    this.parent.logger.debug('Sender address set to ' + port_address);
+  }
+
+  /**
+   * Transmits the current values as E1.31 data packet
+   *
+   * @param {boolean} terminated - Set the stream terminated flag
+   * @param {function} callback - Called once sent
+   */
+  transmitSacn(terminated = false, callback) {
+    var udppacket = sacn.encode({
+      cid: this.cid,
+      sourceName: this.options.source_name,
+      priority: this.options.priority,
+      sequence: this.sacnSeq,
+      terminated: terminated,
+      universe: this.options.universe,
+      values: this.values.subarray(0, this.frameLength())
+    });
+    // Increase Sequence Counter
+    this.sacnSeq = (this.sacnSeq + 1) % 256;
+
+    this.parent.logger.trace('----');
+    this.parent.logger.trace('sACN frame prepared for ' + this.options.universe);
+
     // Send UDP
     this.socket.send(udppacket, 0, udppacket.length, this.options.port, this.ip4,
       (err) => {
-        if (err) this.parent.handleError(err);
-        this.parent.logger.debug('<- ArtDMX frame sent to ' + this.ip4 + ':' + this.options.port);
+        if (err) this.sendFailed(err);
+        this.parent.logger.debug('<- sACN frame sent to ' + this.ip4 + ':' + this.options.port + (terminated ? ' (terminated)' : ''));
+        if (callback) callback();
       });
   }
 
@@ -726,11 +2032,12 @@ class Sender {
    */
   setChannel(channel, value) {
     if ((channel > 511) || (channel < 0)) {
-      this.handleError(new Error('Channel must be between 0 and 512'));
+      this.parent.handleError(new Error('Channel must be between 0 and 512'));
     }
     if ((value > 255) || (value < 0)) {
-      this.handleError(new Error('Value must be between 0 and 255'));
+      this.parent.handleError(new Error('Value must be between 0 and 255'));
     }
+    this.cancelFade([channel]);
     this.values[channel] = value;
     this.transmit();
   }
@@ -744,11 +2051,12 @@ class Sender {
    */
   prepChannel(channel, value) {
     if ((channel > 511) || (channel < 0)) {
-      this.handleError(new Error('Channel must be between 0 and 512'));
+      this.parent.handleError(new Error('Channel must be between 0 and 512'));
     }
     if ((value > 255) || (value < 0)) {
-      this.handleError(new Error('Value must be between 0 and 255'));
+      this.parent.handleError(new Error('Value must be between 0 and 255'));
     }
+    this.cancelFade([channel]);
     this.values[channel] = value;
   }
 
@@ -761,35 +2069,201 @@ class Sender {
    */
   fillChannels(start, stop, value) {
     if ((start > 511) || (start < 0)) {
-      this.handleError(new Error('Channel must be between 0 and 512'));
+      this.parent.handleError(new Error('Channel must be between 0 and 512'));
     }
     if ((stop > 511) || (stop < 0)) {
-      this.handleError(new Error('Channel must be between 0 and 512'));
+      this.parent.handleError(new Error('Channel must be between 0 and 512'));
     }
     if ((value > 255) || (value < 0)) {
-      this.handleError(new Error('Value must be between 0 and 255'));
+      this.parent.handleError(new Error('Value must be between 0 and 255'));
     }
     for (var i = start; i <= stop; i++) {
+      this.cancelFade([i]);
       this.values[i] = value;
     }
     this.transmit();
   }
 
+  /**
+   * Fades channels to new values. A fade on a channel replaces its running fade,
+   * setting a channel cancels its fade.
+   *
+   * @param {object} targets - {channel: value, ...}
+   * @param {number} duration - Fade time (ms)
+   * @param {string|function} curve - 'linear', 'ease', 's-curve' or function(t) mapping 0-1 to 0-1
+   * @returns {Promise} - Resolves with true when done, false if cancelled or overridden on any channel
+   */
+  fadeTo(targets, duration, curve = 'linear') {
+    const curveFunc = (typeof curve === 'function') ? curve : FADE_CURVES[curve];
+    if (!curveFunc) {
+      this.parent.handleError(new Error('Unknown fade curve: ' + curve));
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const fade = { remaining: 0, completed: true, resolve };
+      const start = Date.now();
+
+      for (const [key, value] of Object.entries(targets)) {
+        const channel = Number(key);
+        if (!Number.isInteger(channel) || (channel > 511) || (channel < 0)) {
+          this.parent.handleError(new Error('Channel must be between 0 and 512'));
+          continue;
+        }
+        if ((value > 255) || (value < 0)) {
+          this.parent.handleError(new Error('Value must be between 0 and 255'));
+          continue;
+        }
+        this.cancelFade([channel]);
+        this.fades.set(channel, { from: this.values[channel], to: value, start, duration, curve: curveFunc, fade });
+        fade.remaining++;
+      }
+
+      if (fade.remaining === 0) return resolve(true);
+      this.fadeStep();
+      if (this.fades.size > 0 && !this.fadeTimer)
+        this.fadeTimer = setInterval(() => this.fadeStep(), 1000 / this.options.fade_rate);
+    });
+  }
+
+  /**
+   * Cancels running fades, channels keep their current value
+   *
+   * @param {Array} channels - Channels to cancel, default all
+   */
+  cancelFade(channels) {
+    if (this.fades.size === 0) return;
+    for (const channel of (channels || Array.from(this.fades.keys()))) {
+      const entry = this.fades.get(channel);
+      if (!entry) continue;
+      this.fades.delete(channel);
+      entry.fade.completed = false;
+      if (--entry.fade.remaining === 0) entry.fade.resolve(false);
+    }
+    if (this.fades.size === 0) {
+      clearInterval(this.fadeTimer);
+      this.fadeTimer = null;
+    }
+  }
+
+  /**
+   * Computes one frame of the running fades and transmits it
+   */
+  fadeStep() {
+    const now = Date.now();
+    const done = [];
+
+    for (const [channel, entry] of this.fades) {
+      const t = entry.duration > 0 ? Math.min(1, (now - entry.start) / entry.duration) : 1;
+      // Custom curves may overshoot: clamp, values wrap in the Buffer
+      this.values[channel] = Math.max(0, Math.min(255, Math.round(entry.from + (entry.to - entry.from) * entry.curve(t))));
+      if (t >= 1) done.push(channel);
+    }
+    this.transmit();
+
+    for (const channel of done) {
+      const entry = this.fades.get(channel);
+      this.fades.delete(channel);
+      if (--entry.fade.remaining === 0) entry.fade.resolve(entry.fade.completed);
+    }
+    if (this.fades.size === 0) {
+      clearInterval(this.fadeTimer);
+      this.fadeTimer = null;
+    }
+  }
+
+  /**
+   * Patches a fixture on this sender
+   *
+   * @param {FixtureProfile|string|object} profile - Profile, or JSON file / object to load it from
+   * @param {number} address - DMX start address (1-512)
+   * @param {string} name - Fixture name
+   * @returns {Fixture} - Instance of Fixture
+   */
+  patch(profile, address, name) {
+    if (!(profile instanceof FixtureProfile)) {
+      try {
+        profile = loadProfile(profile);
+      } catch (err) {
+        return this.parent.handleError(err);
+      }
+    }
+    const fixture = new Fixture(profile, this, address, name);
+    const [first, last] = fixture.channels;
+
+    if (address < 1 || last > 511) {
+      return this.parent.handleError(new Error('Fixture ' + fixture.name + ' does not fit in universe at address ' + address));
+    }
+    const overlap = this.fixtures.find((other) => first <= other.channels[1] && other.channels[0] <= last);
+    if (overlap) {
+      return this.parent.handleError(new Error('Fixture ' + fixture.name + ' overlaps ' + overlap.name));
+    }
+
+    this.fixtures.push(fixture);
+    this.highest = Math.max(this.highest, last + 1);
+    fixture.reset(false);
+    this.parent.logger.debug('Fixture patched: ' + fixture.name + ' (' + profile.footprint + ' ch) at ' + address + ' on ' + this.port_address);
+    return fixture;
+  }
+
+  /**
+   * Removes a fixture from this sender
+   *
+   * @param {Fixture} fixture - Fixture to remove
+   */
+  unpatch(fixture) {
+    this.fixtures = this.fixtures.filter((f) => f !== fixture);
+  }
+
   /**
    * Resets all channels to zero and Transmits
    */
   blackout() {
+    this.cancelFade();
     this.values.fill(0);
     this.transmit();
   }
 
   /**
    * Stops the sender and destroys it
+   *
+   * @param {object} options - {blackout: send a last frame with all channels at zero, default false}
+   * @returns {Promise} - Resolves once the socket is closed
    */
-  stop() {
-    clearInterval(this.interval);
+  close({ blackout = false } = {}) {
+    if (this.closed) return this.closed;
+    this.parent.scheduler.remove(this);
+    this.cancelFade();
     this.parent.senders = this.parent.senders.filter((value) => value !== this);
-    this.socket.close();
+
+    this.closed = new Promise((resolve) => {
+      const closeSocket = () => this.socket.close(() => resolve());
+      if (!this.socket_ready) return closeSocket();
+
+      // sACN: announce end of stream with three terminated packets
+      const terminate = () => {
+        if (this.options.protocol !== 'sacn') return closeSocket();
+        let pending = 3;
+        for (let i = 0; i < 3; i++)
+          this.transmitSacn(true, () => { if (--pending === 0) closeSocket(); });
+      };
+
+      if (blackout) {
+        this.values.fill(0);
+        this.sendFrame(terminate);
+      }
+      else terminate();
+      this.socket_ready = false;
+    });
+    this.parent.logger.info('SENDER closed: ' + this.port_address);
+    return this.closed;
+  }
+
+  /**
+   * Stops the sender and destroys it, same as close()
+   */
+  stop() {
+    return this.close();
   }
 }
 
@@ -801,35 +2275,53 @@ class Sender {
 class Receiver extends EventEmitter {
 
   options = {
+    protocol: 'artnet',
     from: null,
     net: 0,
-    subnet: 0,
-    universe: 0,
+    subnet: 0,              // or '*': every universe of the net
+    universe: 0,            // or '*': every port address, or [first, last]: range counted from net / subnet
+    merge: 'htp',           // Art-Net merge mode of two sources: 'htp' or 'ltp'
+    merge_timeout: 10000,   // Drop a source after this silence (ms)
+    sync: false,            // Hold data until ArtSync is received
+    loss_timeout: 4000,     // Source lost after this silence (ms), 0 to disable
+    failsafe: 'hold',       // On source loss: 'hold', 'blackout', 'full' or 'scene'
+    failsafe_fade: 0,       // Fade time to the failsafe look (ms)
+    failsafe_scene: null,   // Values output by the 'scene' failsafe
+    stats_interval: 0,      // Emit 'stats' every interval (ms), 0 to disable
   }
 
   interfaces = []
 
-  constructor(opt, parent) {
+  /**
+   * @param {object} opt - Receiver options
+   * @param {hartnet} parent - Parent hub
+   * @param {Receiver} owner - Wildcard receiver, for its receiver of a single universe
+   */
+  constructor(opt, parent, owner = null) {
     super();
     // save parent object
     this.parent = parent;
+    this.owner = owner;
 
     // set options
     for (var key in this.options) 
       this.options[key] = opt[key] !== undefined ? opt[key] : this.options[key];
 
-    // Calculate Net/Subnet/Universe
-    this.options.subnet += this.options.universe >> 4;
-    this.options.universe = this.options.universe & 0x0F;
-    this.options.net += this.options.subnet >> 4;
-    this.options.subnet = this.options.subnet & 0x0F;
-
-    // Build Subnet/Universe/Net Int16
-    this.port_subuni =  (this.options.subnet << 4) | this.options.universe;
-    this.port_address = (this.options.net << 8) | this.port_subuni;
-
-    if (this.port_address > 32767) {
-      this.handleError(new Error('Invalid Port Address: net * subnet * universe must be smaller than 32768'));
+    if (this.options.protocol === 'sacn') {
+      // sACN universe is used as is
+      if (!Number.isInteger(this.options.universe) || this.options.universe < 1 || this.options.universe > 63999) {
+        this.parent.handleError(new Error('Invalid sACN universe: must be between 1 and 63999'));
+      }
+      this.port_address = this.options.universe;
+      this.sacnSources = new Map();  // CID -> {ip, name, priority, sequence, last}
+    }
+    else {
+      this.sourceMap = new Map();  // IP -> {ip, values, last}
+      this.sequences = new Map();  // IP -> {sequence, last}
+      this.setAddress(this.options.net, this.options.subnet, this.options.universe);
+      if (this.options.merge !== 'htp' && this.options.merge !== 'ltp') {
+        this.parent.handleError(new Error('Invalid merge mode: must be htp or ltp'));
+      }
     }
 
     // ip subnet finder
@@ -843,37 +2335,575 @@ class Receiver extends EventEmitter {
     }
 
     // Matching interfaces
-    for(var iface of INTERFACES) 
-      if (this.ipnet.contains(iface.ip)) this.interfaces.push(iface);
+    this.resolveInterfaces();
+
+    // Initialize values
+    this.values = Buffer.alloc(512);
+
+    // ArtSync: synchronous mode starts with the first ArtSync
+    this.syncMode = false;
+    this.lastSync = 0;
+    this.pending = null;
+
+    // Source loss: 'waiting' for first data, 'active' or 'lost'
+    if (!['hold', 'blackout', 'full', 'scene'].includes(this.options.failsafe)) {
+      this.parent.handleError(new Error('Invalid failsafe: must be hold, blackout, full or scene'));
+    }
+    this.state = 'waiting';
+    this.lastData = 0;
+    this.lossTimer = null;
+    this.failsafeTimer = null;
+
+    // Sequence numbers and statistics
+    this.counters = { frames: 0, dropped: 0, outOfOrder: 0, duplicate: 0 };
+    this.lastSource = null;
+    this.lastFrame = 0;
+    this.rate = { start: Date.now(), count: 0, fps: 0 };
+    if (this.options.stats_interval > 0) {
+      this.statsTimer = setInterval(() => this.emit('stats', this.stats()), this.options.stats_interval);
+      this.statsTimer.unref();
+    }
+    
+    if (this.owner) this.parent.logger.debug(`RECEIVER started for universe ${this.port_address} of wildcard receiver`);
+    else this.parent.logger.info(`RECEIVER started: ${JSON.stringify(this.options)}`);
+  }
+
+  /**
+   * Finds the interfaces matching 'from', again when interfaces change
+   */
+  resolveInterfaces() {
+    this.interfaces = this.parent.interfaces.filter((iface) => this.ipnet.contains(iface.ip));
 
     // If no interface found, throw warning
     if (this.interfaces.length < 1)
       this.parent.logger.warn('Receiver: No matching interface found for '+this.options.from);
+  }
 
-    // Initialize values
-    this.values = new Array(512).fill(0);
-    
-    this.parent.logger.info(`RECEIVER started: ${JSON.stringify(this.options)}`);
+  /**
+   * Changes the Art-Net port address of the receiver
+   *
+   * @param {number} net - net (0-127)
+   * @param {number} subnet - subnet (0-15), overflow goes to net
+   * @param {number} universe - universe (0-15), overflow goes to subnet
+   */
+  setAddress(net, subnet, universe) {
+    if (subnet === '*' || universe === '*' || Array.isArray(universe)) return this.setRange(net, subnet, universe);
+    if (this.range) this.closeUniverses();
+    this.range = null;
+
+    // Calculate Net/Subnet/Universe
+    subnet += universe >> 4;
+    universe = universe & 0x0F;
+    net += subnet >> 4;
+    subnet = subnet & 0x0F;
+
+    // Build Subnet/Universe/Net Int16
+    const port_subuni = (subnet << 4) | universe;
+    const port_address = (net << 8) | port_subuni;
+    if (port_address > 32767) {
+      return this.parent.handleError(new Error('Invalid Port Address: net * subnet * universe must be smaller than 32768'));
+    }
+
+    Object.assign(this.options, { net, subnet, universe });
+    this.port_subuni = port_subuni;
+    this.port_address = port_address;
+    this.sourceMap.clear();
+    this.sequences.clear();
+    this.parent.logger.debug('Receiver address set to ' + port_address);
+  }
+
+  /**
+   * Makes a wildcard receiver of a range of port addresses
+   *
+   * @param {number} net - net (0-127)
+   * @param {number|string} subnet - subnet (0-15), or '*' for every universe of the net
+   * @param {number|string|Array} universe - '*' for every port address, or [first, last] counted from net and subnet
+   */
+  setRange(net, subnet, universe) {
+    let range;
+    if (universe === '*') range = [0, 0x7FFF];
+    else if (subnet === '*') range = [net << 8, (net << 8) | 0xFF];
+    else {
+      const base = (net << 8) | (subnet << 4);
+      range = [base + universe[0], base + universe[1]];
+    }
+    if (!range.every((p) => Number.isInteger(p) && p >= 0 && p <= 0x7FFF) || range[0] > range[1]) {
+      return this.parent.handleError(new Error('Invalid universe range: port addresses must be between 0 and 32767, first to last'));
+    }
+
+    if (this.range) this.closeUniverses();
+    Object.assign(this.options, { net, subnet, universe });
+    this.range = range;
+    this.port_address = null;
+    this.universes = new Map();  // port address -> Receiver, created on the first frame
+    this.parent.logger.debug('Receiver address set to ' + range[0] + '-' + range[1]);
   }
 
   /**
    * Check if packet this packet is for this receiver
    */
   acceptPacket(p_address, rinfo) {
+    if (this.range) return p_address >= this.range[0] && p_address <= this.range[1] && this.ipnet.contains(rinfo.address);
     return (p_address == this.port_address) && this.ipnet.contains(rinfo.address);
   }
 
+  /**
+   * Returns the receiver of an universe of a wildcard receiver, created on its first frame.
+   * Its events are re-emitted by the wildcard receiver.
+   *
+   * @param {number} port_address - 15 bit port address
+   * @returns {Receiver} - Receiver of the universe
+   */
+  universeReceiver(port_address) {
+    let receiver = this.universes.get(port_address);
+    if (receiver) return receiver;
+
+    receiver = new Receiver({
+      ...this.options,
+      net: port_address >> 8, subnet: (port_address >> 4) & 0x0F, universe: port_address & 0x0F, stats_interval: 0
+    }, this.parent, this);
+    for (const event of ['data', 'change', 'source-lost', 'source-restored'])
+      receiver.on(event, (...args) => this.emit(event, ...args));
+    this.universes.set(port_address, receiver);
+    this.emit('universe', receiver);
+    return receiver;
+  }
+
+  /**
+   * Closes the receivers of the universes of a wildcard receiver
+   */
+  closeUniverses() {
+    for (const receiver of this.universes.values()) receiver.close();
+    this.universes.clear();
+  }
+
+  /**
+   * Applies the ArtDmx sequence rules of a source, and counts the frame
+   *
+   * @param {number} sequence - ArtDmx Sequence (1-255), 0 when disabled by the source
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   * @returns {boolean} - true if the frame should be output, false if stale or duplicate
+   */
+  checkSequence(sequence, rinfo) {
+    const now = Date.now();
+    const src = this.sequences.get(rinfo.address);
+
+    // Sequencing disabled, or first frame of the source after 1s of silence
+    if (sequence !== 0 && src && src.sequence !== 0 && now - src.last < 1000) {
+      // Distance on the 1-255 cycle, 0 is skipped on wrap-around
+      const ahead = (sequence - src.sequence + 255) % 255;
+      if (ahead === 0) {
+        this.counters.duplicate++;
+        return false;
+      }
+      // Back by less than 20: reordered frame. Further back: the source restarted.
+      if (ahead > 255 - 20) {
+        this.counters.outOfOrder++;
+        return false;
+      }
+      if (ahead < 128) this.counters.dropped += ahead - 1;
+    }
+
+    this.sequences.set(rinfo.address, { sequence, last: now });
+    this.countFrame(rinfo);
+    return true;
+  }
+
+  /**
+   * Counts an in-order frame in the statistics
+   *
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  countFrame(rinfo) {
+    const now = Date.now();
+    this.counters.frames++;
+    this.lastSource = rinfo.address;
+    this.lastFrame = now;
+
+    // Frame rate, over windows of 1s
+    this.rate.count++;
+    if (now - this.rate.start >= 1000) {
+      this.rate.fps = this.rate.count * 1000 / (now - this.rate.start);
+      this.rate.start = now;
+      this.rate.count = 0;
+    }
+  }
+
+  /**
+   * Packet statistics of the receiver
+   *
+   * @returns {object} - {port_address, frames, fps, dropped, outOfOrder, duplicate, lastSource, last}
+   */
+  stats() {
+    if (this.range) return this.rangeStats();
+    return {
+      port_address: this.port_address,
+      ...this.counters,
+      fps: Date.now() - this.lastFrame > 1000 ? 0 : Math.round(this.rate.fps * 10) / 10,
+      lastSource: this.lastSource,
+      last: this.lastFrame
+    };
+  }
+
+  /**
+   * Packet statistics of a wildcard receiver: totals, and statistics of each universe
+   *
+   * @returns {object} - {port_address: null, frames, fps, dropped, outOfOrder, duplicate, lastSource, last, universes: [stats]}
+   */
+  rangeStats() {
+    const universes = Array.from(this.universes.values(), (receiver) => receiver.stats());
+    const total = { port_address: null, frames: 0, fps: 0, dropped: 0, outOfOrder: 0, duplicate: 0, lastSource: null, last: 0 };
+    for (const stats of universes) {
+      for (const key of ['frames', 'fps', 'dropped', 'outOfOrder', 'duplicate']) total[key] += stats[key];
+      if (stats.last > total.last) Object.assign(total, { lastSource: stats.lastSource, last: stats.last });
+    }
+    total.fps = Math.round(total.fps * 10) / 10;
+    return { ...total, universes };
+  }
+
+  /**
+   * Applies E1.31 sequence, priority and stream termination rules
+   *
+   * @param {object} packet - Decoded sACN packet
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   * @returns {boolean} - true if the packet data should be output
+   */
+  sacnFilter(packet, rinfo) {
+    const now = Date.now();
+
+    // Forget sources silent for longer than the network data loss timeout
+    for (const [cid, src] of this.sacnSources)
+      if (now - src.last > 2500) this.sacnSources.delete(cid);
+
+    let src = this.sacnSources.get(packet.cid);
+
+    if (packet.terminated) {
+      if (src) {
+        this.sacnSources.delete(packet.cid);
+        this.emit('terminated', { cid: packet.cid, name: packet.sourceName, ip: rinfo.address });
+      }
+      return false;
+    }
+
+    // Out of order: discard if sequence went back by less than 20
+    if (src) {
+      const diff = ((packet.sequence - src.sequence) << 24) >> 24;
+      if (diff === 0) {
+        this.counters.duplicate++;
+        return false;
+      }
+      if (diff < 0 && diff > -20) {
+        this.counters.outOfOrder++;
+        return false;
+      }
+      if (diff > 1) this.counters.dropped += diff - 1;
+    }
+    this.countFrame(rinfo);
+
+    this.sacnSources.set(packet.cid, {
+      ip: rinfo.address,
+      name: packet.sourceName,
+      priority: packet.priority,
+      sequence: packet.sequence,
+      last: now
+    });
+
+    // Highest priority source wins
+    for (const other of this.sacnSources.values())
+      if (other.priority > packet.priority) return false;
+    return true;
+  }
+
+  /**
+   * Merges data of a source with the other active sources (max. 2 as per Art-Net spec)
+   *
+   * @param {Buffer} data - Data from received ArtDMX
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   * @returns {Buffer|null} - Merged values, or null if the source is ignored
+   */
+  merge(data, rinfo) {
+    const now = Date.now();
+    let changed = false;
+
+    // Drop sources silent for longer than merge_timeout
+    for (const [ip, src] of this.sourceMap)
+      if (now - src.last > this.options.merge_timeout) {
+        this.sourceMap.delete(ip);
+        this.parent.logger.debug('Receiver ' + this.port_address + ': source timed out ' + ip);
+        changed = true;
+      }
+
+    let src = this.sourceMap.get(rinfo.address);
+    if (!src) {
+      if (this.sourceMap.size >= 2) {
+        this.parent.logger.trace('Receiver ' + this.port_address + ': third source ignored ' + rinfo.address);
+        if (changed) this.emit('sources', this.sources());
+        return null;
+      }
+      src = { ip: rinfo.address, values: Buffer.alloc(0), last: now };
+      this.sourceMap.set(rinfo.address, src);
+      this.parent.logger.debug('Receiver ' + this.port_address + ': new source ' + rinfo.address);
+      changed = true;
+    }
+
+    const previous = src.values;
+    src.values = data;
+    src.last = now;
+    if (changed) this.emit('sources', this.sources());
+
+    if (this.sourceMap.size < 2) return data;
+
+    const length = Math.max(...Array.from(this.sourceMap.values(), (s) => s.values.length));
+    const merged = Buffer.alloc(length);
+
+    // HTP: highest value of all sources
+    if (this.options.merge === 'htp') {
+      for (const s of this.sourceMap.values())
+        for (let ch = 0; ch < s.values.length; ch++)
+          if (s.values[ch] > merged[ch]) merged[ch] = s.values[ch];
+    }
+    // LTP: last changed value wins, per channel
+    else {
+      for (let ch = 0; ch < length; ch++)
+        merged[ch] = (data[ch] !== previous[ch] || this.values[ch] === undefined) ? (data[ch] || 0) : this.values[ch];
+    }
+    return merged;
+  }
+
+  /**
+   * Cancels merging: sources are forgotten, the next one to send takes over
+   */
+  cancelMerge() {
+    if (this.range) return this.universes.forEach((receiver) => receiver.cancelMerge());
+    if (this.sourceMap.size === 0) return;
+    this.sourceMap.clear();
+    this.emit('sources', this.sources());
+  }
+
+  /**
+   * Lists the sources currently contributing to this receiver
+   *
+   * @returns {Array} - [{ip, last}]
+   */
+  sources() {
+    if (this.options.protocol === 'sacn')
+      return Array.from(this.sacnSources.values(), (s) => ({ ip: s.ip, last: s.last, name: s.name, priority: s.priority }));
+    return Array.from(this.sourceMap.values(), (s) => ({ ip: s.ip, last: s.last }));
+  }
+
+  /**
+   * True when data of two sources is merged
+   */
+  get merging() {
+    return this.options.protocol !== 'sacn' && this.sourceMap.size > 1;
+  }
+
   /**
    * Handles received data
    *
-   * @param {Array} data - Data from received ArtDMX
+   * @param {Buffer} data - Data from received ArtDMX
    */
   receive(data) {
-    this.values = data;
-    this.emit('data', data);
+    this.alive();
+
+    // Synchronous mode: hold data until next ArtSync, revert if none within 4s or when merging (ArtSync is then ignored)
+    if (this.syncMode) {
+      if (this.merging) {
+        this.syncMode = false;
+        this.pending = null;
+        this.parent.logger.debug('Receiver ' + this.port_address + ': merging, back to immediate output');
+      }
+      else if (Date.now() - this.lastSync <= 4000) {
+        this.pending = data;
+        return;
+      }
+      else {
+        this.syncMode = false;
+        this.pending = null;
+        this.parent.logger.debug('Receiver ' + this.port_address + ': no ArtSync for 4s, back to immediate output');
+      }
+    }
+    this.output(data, this.lastSource);
+  }
+
+  /**
+   * Outputs new values: emits 'data', then 'change' with the channels that differ from the previous values.
+   * Both carry {port_address, net, subnet, universe, source}.
+   *
+   * @param {Buffer} values - New values
+   * @param {string|null} source - IP of the last source, null for failsafe values
+   */
+  output(values, source = null) {
+    const previous = this.values;
+    const info = { port_address: this.port_address, net: this.options.net, subnet: this.options.subnet, universe: this.options.universe, source };
+    this.values = values;
+    this.emit('data', values, info);
+
+    // Diff only when listened to, channels missing from a shorter frame are now 0
+    if (this.listenerCount('change') === 0) return;
+    const changes = {};
+    let changed = false;
+    for (let ch = 0; ch < Math.max(values.length, previous.length); ch++) {
+      const value = ch < values.length ? values[ch] : 0;
+      if (value !== (ch < previous.length ? previous[ch] : 0)) {
+        changes[ch] = value;
+        changed = true;
+      }
+    }
+    if (changed) this.emit('change', changes, info);
+  }
+
+  /**
+   * Marks the source as alive, and re-arms loss detection
+   */
+  alive() {
+    this.lastData = Date.now();
+    if (this.state === 'lost') {
+      clearInterval(this.failsafeTimer);
+      this.failsafeTimer = null;
+      this.parent.logger.info('Receiver ' + this.port_address + ': source restored');
+      this.emit('source-restored', { port_address: this.port_address });
+    }
+    this.state = 'active';
+
+    if (this.options.loss_timeout > 0) {
+      if (this.lossTimer) this.lossTimer.refresh();
+      else {
+        this.lossTimer = setTimeout(() => this.sourceLost(), this.options.loss_timeout);
+        this.lossTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * No data for loss_timeout: applies the failsafe policy
+   */
+  sourceLost() {
+    this.state = 'lost';
+    this.parent.logger.warn('Receiver ' + this.port_address + ': source lost, failsafe ' + this.options.failsafe);
+    this.emit('source-lost', { port_address: this.port_address, last: this.lastData });
+
+    let target;
+    if (this.options.failsafe === 'blackout') target = Buffer.alloc(this.values.length);
+    else if (this.options.failsafe === 'full') target = Buffer.alloc(this.values.length, 255);
+    else if (this.options.failsafe === 'scene') {
+      const scene = this.options.failsafe_scene || [];
+      target = this.values.map((v, ch) => scene[ch] || 0);
+    }
+    else return;  // hold last look
+
+    // Fade from the last look to the failsafe look
+    const from = Buffer.from(this.values);
+    const start = Date.now();
+    const step = () => {
+      const t = this.options.failsafe_fade > 0 ? Math.min(1, (Date.now() - start) / this.options.failsafe_fade) : 1;
+      this.output(from.map((v, ch) => Math.round(v + (target[ch] - v) * t)));
+      if (t >= 1) {
+        clearInterval(this.failsafeTimer);
+        this.failsafeTimer = null;
+      }
+    };
+    if (this.options.failsafe_fade > 0) this.failsafeTimer = setInterval(step, 25);
+    step();
+  }
+
+  /**
+   * Stores the current values as failsafe scene
+   */
+  recordScene() {
+    if (this.range) return this.universes.forEach((receiver) => receiver.recordScene());
+    this.options.failsafe_scene = Buffer.from(this.values);
+  }
+
+  /**
+   * Loss detection status of the receiver
+   *
+   * @returns {object} - {protocol, port_address, state, last, sources}
+   */
+  status() {
+    if (this.range) {
+      const universes = Array.from(this.universes.values(), (receiver) => receiver.status());
+      const states = universes.map((u) => u.state);
+      return {
+        protocol: this.options.protocol,
+        port_address: null,
+        range: this.range,
+        state: states.includes('active') ? 'active' : (states.includes('lost') ? 'lost' : 'waiting'),
+        last: Math.max(0, ...universes.map((u) => u.last)),
+        sources: [],
+        universes
+      };
+    }
+    return {
+      protocol: this.options.protocol,
+      port_address: this.port_address,
+      state: this.state,
+      last: this.lastData,
+      sources: this.sources()
+    };
+  }
+
+  /**
+   * Stops the receiver: clears its timers and removes it from the hub
+   *
+   * @returns {Promise} - Resolves once closed
+   */
+  close() {
+    if (this.closed) return this.closed;
+    this.closed = Promise.resolve();
+    if (this.range) this.closeUniverses();
+    clearTimeout(this.lossTimer);
+    clearInterval(this.failsafeTimer);
+    clearInterval(this.statsTimer);
+    this.lossTimer = this.failsafeTimer = this.statsTimer = null;
+    this.parent.receivers = this.parent.receivers.filter((value) => value !== this);
+
+    // sACN: leave the multicast group if no other receiver uses it
+    const listener = this.parent.listenerSacn;
+    if (this.options.protocol === 'sacn' && listener
+      && !this.parent.receivers.some((r) => r.options.protocol === 'sacn' && r.options.universe === this.options.universe)) {
+      const group = sacn.multicastGroup(this.options.universe);
+      for (const iface of this.interfaces) {
+        try { listener.dropMembership(group, iface.ip); } catch (err) { /* not joined */ }
+      }
+    }
+
+    if (!this.owner) this.parent.logger.info('RECEIVER closed: ' + (this.range ? this.range.join('-') : this.port_address));
+    this.emit('close');
+    return this.closed;
+  }
+
+  /**
+   * Handles received ArtSync: outputs held data
+   *
+   * @param {dgram.RemoteInfo} rinfo - Remote info
+   */
+  sync(rinfo) {
+    if (this.range) return this.universes.forEach((receiver) => receiver.sync(rinfo));
+    // ArtSync is ignored when merging, or when not sent by our ArtDmx source
+    if (!this.options.sync || this.merging) return;
+    if (this.sourceMap.size > 0 && !this.sourceMap.has(rinfo.address)) return;
+
+    if (!this.syncMode) this.parent.logger.debug('Receiver ' + this.port_address + ': ArtSync received, synchronous output');
+    this.syncMode = true;
+    this.lastSync = Date.now();
+
+    if (this.pending) {
+      const pending = this.pending;
+      this.pending = null;
+      this.output(pending, this.lastSource);
+    }
   }
 }
 
 
 // Export hartnet
 module.exports = hartnet;
+module.exports.Recorder = Recorder;
+module.exports.Player = Player;
+module.exports.rdm = rdm;
+module.exports.loadProfile = loadProfile;
+module.exports.FixtureProfile = FixtureProfile;
+module.exports.timecode = timecode;
+module.exports.artnet = artnet;
+module.exports.VirtualNetwork = VirtualNetwork;
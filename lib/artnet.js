@@ -0,0 +1,403 @@
+// Description: Art-Net 4 packet codec, pure (no socket)
+//
+//   const artnet = require('hartnet').artnet;
+//   const buf = artnet.encode('ArtDmx', { sequence: 1, portAddress: 0, data: [255, 0] });
+//   const packet = artnet.decode(buf);   // { opcode: 0x5000, name: 'ArtDmx', protVer: 14, sequence: 1, ... }
+//
+// Fields are named after the Art-Net 4 specification, in camelCase. Fillers and spares are
+// zero on encode and left out on decode. Both throw an Error describing the invalid field.
+//
+// Field types:
+//   u8, u16 (big-endian, 'Hi Lo'), u16le (low byte first), u32, u64
+//   ip ('a.b.c.d'), mac ('aa:bb:cc:dd:ee:ff'), uid (RDM 'MMMM:DDDDDDDD')
+//   string (fixed size, null terminated), bytes (fixed size Array), pad (filler / spare)
+//   data (Buffer), text (string) and list (Array) of variable size, last field of a packet:
+//   sized by a count field, or by the rest of the packet
+
+const rdm = require('./rdm.js');
+
+const ID = Buffer.from('Art-Net\0', 'latin1');
+const PROTOCOL_VERSION = 14;
+const HEADER_SIZE = 10;  // ID Int8[8], OpCode Int16 (low byte first)
+
+// Layouts after the header: [name, type, size or options]
+// options: {size, min, max, count (field holding the size of a variable field), unit (bytes per item), default}
+const protVer = ['protVer', 'u16', { default: PROTOCOL_VERSION }];
+
+const DMX_LAYOUT = [protVer, ['sequence', 'u8'], ['physical', 'u8'], ['portAddress', 'u16le', { max: 0x7FFF }],
+  ['length', 'u16'], ['data', 'data', { count: 'length', min: 1, max: 512 }]];
+
+const FIRMWARE_MASTER_LAYOUT = [protVer, ['pad', 'pad', 2], ['type', 'u8'], ['blockId', 'u8'], ['firmwareLength', 'u32'],
+  ['pad', 'pad', 20], ['data', 'data', { size: 512 }]];
+
+const FIRMWARE_REPLY_LAYOUT = [protVer, ['pad', 'pad', 2], ['type', 'u8'], ['pad', 'pad', 21]];
+
+const PACKETS = {
+  0x2000: {
+    name: 'ArtPoll', min: 14, layout: [protVer, ['flags', 'u8'], ['diagPriority', 'u8'],
+      ['targetPortAddressTop', 'u16'], ['targetPortAddressBottom', 'u16'], ['estaMan', 'u16'], ['oem', 'u16']]
+  },
+  0x2100: {
+    name: 'ArtPollReply', min: 207, layout: [['ipAddress', 'ip'], ['port', 'u16le', { default: 0x1936 }], ['versInfo', 'u16'],
+      ['netSwitch', 'u8', { max: 0x7F }], ['subSwitch', 'u8', { max: 0x0F }], ['oem', 'u16'], ['ubeaVersion', 'u8'], ['status1', 'u8'],
+      ['estaMan', 'u16le'], ['shortName', 'string', 18], ['longName', 'string', 64], ['nodeReport', 'string', 64],
+      ['numPorts', 'u16', { max: 4 }], ['portTypes', 'bytes', 4], ['goodInput', 'bytes', 4], ['goodOutputA', 'bytes', 4],
+      ['swIn', 'bytes', 4], ['swOut', 'bytes', 4], ['acnPriority', 'u8'], ['swMacro', 'u8'], ['swRemote', 'u8'], ['pad', 'pad', 3],
+      ['style', 'u8'], ['mac', 'mac'], ['bindIp', 'ip'], ['bindIndex', 'u8'], ['status2', 'u8'], ['goodOutputB', 'bytes', 4],
+      ['status3', 'u8'], ['defaultRespUid', 'uid'], ['user', 'u16'], ['refreshRate', 'u16'], ['backgroundQueuePolicy', 'u8'],
+      ['pad', 'pad', 10]]
+  },
+  0x2300: {
+    name: 'ArtDiagData', min: 18, layout: [protVer, ['pad', 'pad', 1], ['diagPriority', 'u8'], ['logicalPort', 'u8'], ['pad', 'pad', 1],
+      ['length', 'u16'], ['data', 'text', { count: 'length', max: 512 }]]
+  },
+  0x2400: {
+    name: 'ArtCommand', min: 16, layout: [protVer, ['estaMan', 'u16'], ['length', 'u16'], ['data', 'text', { count: 'length', max: 512 }]]
+  },
+  0x2700: {
+    name: 'ArtDataRequest', min: 40, layout: [protVer, ['estaMan', 'u16'], ['oem', 'u16'], ['request', 'u16'], ['pad', 'pad', 22]]
+  },
+  0x2800: {
+    name: 'ArtDataReply', min: 20, layout: [protVer, ['estaMan', 'u16'], ['oem', 'u16'], ['request', 'u16'], ['payLen', 'u16'],
+      ['payload', 'data', { count: 'payLen', max: 512 }]]
+  },
+  0x5000: { name: 'ArtDmx', min: 18, layout: DMX_LAYOUT },
+  0x5100: {
+    name: 'ArtNzs', min: 18, layout: [protVer, ['sequence', 'u8'], ['startCode', 'u8'], ['portAddress', 'u16le', { max: 0x7FFF }],
+      ['length', 'u16'], ['data', 'data', { count: 'length', min: 1, max: 512 }]]
+  },
+  0x5200: { name: 'ArtSync', min: 14, layout: [protVer, ['aux1', 'u8'], ['aux2', 'u8']] },
+  0x6000: {
+    name: 'ArtAddress', min: 107, layout: [protVer, ['netSwitch', 'u8'], ['bindIndex', 'u8'], ['shortName', 'string', 18],
+      ['longName', 'string', 64], ['swIn', 'bytes', 4], ['swOut', 'bytes', 4], ['subSwitch', 'u8'], ['acnPriority', 'u8'], ['command', 'u8']]
+  },
+  0x7000: {
+    name: 'ArtInput', min: 20, layout: [protVer, ['pad', 'pad', 1], ['bindIndex', 'u8'], ['numPorts', 'u16', { max: 4 }], ['input', 'bytes', 4]]
+  },
+  0x8000: {
+    name: 'ArtTodRequest', min: 24, layout: [protVer, ['pad', 'pad', 9], ['net', 'u8', { max: 0x7F }], ['command', 'u8'], ['adCount', 'u8'],
+      ['address', 'list', { count: 'adCount', max: 32 }]]
+  },
+  0x8100: {
+    name: 'ArtTodData', min: 28, layout: [protVer, ['rdmVer', 'u8', { default: 0x01 }], ['port', 'u8'], ['pad', 'pad', 6], ['bindIndex', 'u8'],
+      ['net', 'u8', { max: 0x7F }], ['commandResponse', 'u8'], ['address', 'u8'], ['uidTotal', 'u16'], ['blockCount', 'u8'], ['uidCount', 'u8'],
+      ['tod', 'list', { count: 'uidCount', unit: 6, max: 200 }]]
+  },
+  0x8200: {
+    name: 'ArtTodControl', min: 24, layout: [protVer, ['pad', 'pad', 9], ['net', 'u8', { max: 0x7F }], ['command', 'u8'], ['address', 'u8']]
+  },
+  0x8300: {
+    name: 'ArtRdm', min: 24, layout: [protVer, ['rdmVer', 'u8', { default: 0x01 }], ['pad', 'pad', 6], ['fifoAvail', 'u8'], ['fifoMax', 'u8'],
+      ['net', 'u8', { max: 0x7F }], ['command', 'u8'], ['address', 'u8'], ['rdmPd', 'data', { max: 256 }]]
+  },
+  0x8400: {
+    name: 'ArtRdmSub', min: 32, layout: [protVer, ['rdmVer', 'u8', { default: 0x01 }], ['pad', 'pad', 1], ['uid', 'uid'], ['pad', 'pad', 1],
+      ['commandClass', 'u8'], ['parameterId', 'u16'], ['subDevice', 'u16'], ['subCount', 'u16'], ['pad', 'pad', 4],
+      ['data', 'data', { max: 512 }]]
+  },
+  0x9700: {
+    name: 'ArtTimeCode', min: 19, layout: [protVer, ['pad', 'pad', 1], ['streamId', 'u8'], ['frames', 'u8', { max: 29 }],
+      ['seconds', 'u8', { max: 59 }], ['minutes', 'u8', { max: 59 }], ['hours', 'u8', { max: 23 }], ['type', 'u8', { max: 3 }]]
+  },
+  0x9900: {
+    name: 'ArtTrigger', min: 18, layout: [protVer, ['pad', 'pad', 2], ['oem', 'u16', { default: 0xFFFF }], ['key', 'u8'], ['subKey', 'u8'],
+      ['data', 'data', { size: 512 }]]
+  },
+  0x9A00: { name: 'ArtDirectory', min: 17, layout: [protVer, ['pad', 'pad', 2], ['command', 'u8'], ['file', 'u16']] },
+  0x9B00: {
+    name: 'ArtDirectoryReply', min: 169, layout: [protVer, ['pad', 'pad', 2], ['flags', 'u8'], ['file', 'u16'], ['name83', 'string', 16],
+      ['description', 'string', 64], ['length', 'u64'], ['data', 'bytes', 64]]
+  },
+  0xF200: { name: 'ArtFirmwareMaster', min: 40, layout: FIRMWARE_MASTER_LAYOUT },
+  0xF300: { name: 'ArtFirmwareReply', min: 36, layout: FIRMWARE_REPLY_LAYOUT },
+  0xF400: { name: 'ArtFileTnMaster', min: 40, layout: FIRMWARE_MASTER_LAYOUT },
+  0xF500: { name: 'ArtFileFnMaster', min: 40, layout: FIRMWARE_MASTER_LAYOUT },
+  0xF600: { name: 'ArtFileFnReply', min: 36, layout: FIRMWARE_REPLY_LAYOUT },
+  0xF800: {
+    name: 'ArtIpProg', min: 34, layout: [protVer, ['pad', 'pad', 2], ['command', 'u8'], ['pad', 'pad', 1], ['progIp', 'ip'], ['progSm', 'ip'],
+      ['progPort', 'u16'], ['progDg', 'ip'], ['pad', 'pad', 4]]
+  },
+  0xF900: {
+    name: 'ArtIpProgReply', min: 34, layout: [protVer, ['pad', 'pad', 4], ['progIp', 'ip'], ['progSm', 'ip'], ['progPort', 'u16'],
+      ['status', 'u8'], ['pad', 'pad', 1], ['progDg', 'ip'], ['pad', 'pad', 2]]
+  },
+};
+
+// Deprecated or undocumented by Art-Net 4: protocol version, then the payload as is
+for (const [opcode, name] of [[0x9000, 'ArtMedia'], [0x9100, 'ArtMediaPatch'], [0x9200, 'ArtMediaControl'], [0x9300, 'ArtMediaControlReply'],
+  [0x9800, 'ArtTimeSync'], [0xA010, 'ArtVideoSetup'], [0xA020, 'ArtVideoPalette'], [0xA040, 'ArtVideoData'],
+  [0xF000, 'ArtMacMaster'], [0xF100, 'ArtMacSlave']])
+  PACKETS[opcode] = { name, min: 12, layout: [protVer, ['data', 'data', { max: 1024 }]] };
+
+// Opcodes by packet name
+const OPCODES = {};
+for (const [opcode, packet] of Object.entries(PACKETS)) OPCODES[packet.name] = Number(opcode);
+
+// NodeReport codes of ArtPollReply: '#xxxx [yyyy] text', xxxx the code in hex, yyyy a counter of ArtPollReply
+const NODE_REPORT = {
+  RcDebug: 0x0000, RcPowerOk: 0x0001, RcPowerFail: 0x0002, RcSocketWr1: 0x0003, RcParseFail: 0x0004, RcUdpFail: 0x0005,
+  RcShNameOk: 0x0006, RcLoNameOk: 0x0007, RcDmxError: 0x0008, RcDmxUdpFull: 0x0009, RcDmxRxFull: 0x000A, RcSwitchErr: 0x000B,
+  RcConfigErr: 0x000C, RcDmxShort: 0x000D, RcFirmwareFail: 0x000E, RcUserFail: 0x000F, RcFactoryRes: 0x0010,
+};
+
+const FIXED_SIZES = { u8: 1, u16: 2, u16le: 2, u32: 4, u64: 8, ip: 4, mac: 6, uid: 6 };
+const MAX = { u8: 0xFF, u16: 0xFFFF, u16le: 0xFFFF, u32: 0xFFFFFFFF, u64: Number.MAX_SAFE_INTEGER };
+
+/**
+ * Parses a field definition
+ *
+ * @param {Array} def - [name, type, size or options]
+ * @returns {object} - {name, type, size, ...options}, size null for variable fields
+ */
+function field([name, type, opt]) {
+  const f = typeof opt === 'number' ? { size: opt } : { ...opt };
+  f.name = name;
+  f.type = type;
+  if (FIXED_SIZES[type]) f.size = FIXED_SIZES[type];
+  if (f.size === undefined) f.size = null;
+  return f;
+}
+
+for (const packet of Object.values(PACKETS))
+  packet.fields = packet.layout.map((def) => ({ ...field(def), packet: packet.name }));
+
+/**
+ * Finds the opcode of a packet name or number
+ *
+ * @param {string|number} opcode - Opcode, or packet name e.g. 'ArtDmx'
+ * @returns {number} - Opcode
+ */
+function opcodeOf(opcode) {
+  const value = typeof opcode === 'string' ? OPCODES[opcode] : opcode;
+  if (!PACKETS[value]) throw new Error('Unknown Art-Net opcode: ' + (typeof opcode === 'number' ? '0x' + opcode.toString(16) : opcode));
+  return value;
+}
+
+/**
+ * Converts a data field value to a Buffer
+ */
+function toBuffer(name, value, f) {
+  if (typeof value === 'string') return Buffer.from(value, 'latin1');
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  if (Array.isArray(value)) {
+    value.forEach((v, i) => checkInteger(name + '[' + i + ']', v, 0xFF, f));
+    return Buffer.from(value);
+  }
+  throw new Error(f.packet + ': ' + name + ' must be a Buffer, Uint8Array or Array');
+}
+
+function checkInteger(name, value, max, f) {
+  if (!Number.isInteger(value) || value < 0 || value > max)
+    throw new Error(f.packet + ': ' + name + ' must be an integer 0-' + max + ', got ' + value);
+}
+
+/**
+ * Size in bytes of the value of a variable field
+ */
+function variableSize(f, value) {
+  if (f.type === 'list') return value.length * (f.unit || 1);
+  if (f.type === 'text') return Buffer.byteLength(value, 'latin1') + 1;  // null terminated
+  return value.length;
+}
+
+/**
+ * Validates and normalizes the value of a field to encode
+ */
+function prepare(f, value) {
+  if (value === undefined || value === null) value = f.default;
+  const name = f.name;
+  switch (f.type) {
+    case 'u8': case 'u16': case 'u16le': case 'u32': case 'u64':
+      if (value === undefined) value = 0;
+      checkInteger(name, value, f.max !== undefined ? f.max : MAX[f.type], f);
+      return value;
+    case 'ip':
+      if (value === undefined) value = '0.0.0.0';
+      if (typeof value !== 'string' || !/^\d{1,3}(\.\d{1,3}){3}$/.test(value) || value.split('.').some((n) => +n > 255))
+        throw new Error(f.packet + ': ' + name + ' must be an IPv4 address, got ' + value);
+      return value;
+    case 'mac':
+      if (value === undefined) value = '00:00:00:00:00:00';
+      if (typeof value !== 'string' || !/^[0-9a-fA-F]{2}(:[0-9a-fA-F]{2}){5}$/.test(value))
+        throw new Error(f.packet + ': ' + name + ' must be a MAC address aa:bb:cc:dd:ee:ff, got ' + value);
+      return value;
+    case 'uid':
+      if (value === undefined) value = '0000:00000000';
+      try {
+        rdm.uidFromString(String(value));
+      } catch (err) {
+        throw new Error(f.packet + ': ' + name + ' must be a RDM UID MMMM:DDDDDDDD, got ' + value);
+      }
+      return value;
+    case 'string':
+      if (value === undefined) value = '';
+      if (typeof value !== 'string') throw new Error(f.packet + ': ' + name + ' must be a string');
+      if (Buffer.byteLength(value, 'latin1') > f.size - 1)
+        throw new Error(f.packet + ': ' + name + ' must be max. ' + (f.size - 1) + ' characters, got ' + value.length);
+      return value;
+    case 'bytes':
+      value = toBuffer(name, value === undefined ? [] : value, f);
+      if (value.length > f.size) throw new Error(f.packet + ': ' + name + ' must be max. ' + f.size + ' bytes, got ' + value.length);
+      return value;
+    case 'pad':
+      return null;
+    case 'data':
+      value = toBuffer(name, value === undefined ? [] : value, f);
+      if (f.size !== null && value.length > f.size) throw new Error(f.packet + ': ' + name + ' must be max. ' + f.size + ' bytes, got ' + value.length);
+      break;
+    case 'text':
+      if (value === undefined) value = '';
+      if (typeof value !== 'string') throw new Error(f.packet + ': ' + name + ' must be a string');
+      break;
+    case 'list':
+      if (value === undefined) value = [];
+      if (!Array.isArray(value)) throw new Error(f.packet + ': ' + name + ' must be an Array');
+      value.forEach((v, i) => {
+        if (f.unit === 6) prepare({ ...f, type: 'uid', name: name + '[' + i + ']' }, v);
+        else checkInteger(name + '[' + i + ']', v, 0xFF, f);
+      });
+      break;
+  }
+
+  // Variable size fields
+  const count = f.type === 'list' ? value.length : variableSize(f, value);
+  if (f.max !== undefined && count > f.max) throw new Error(f.packet + ': ' + name + ' must be max. ' + f.max + (f.type === 'list' ? ' items' : ' bytes') + ', got ' + count);
+  if (f.min !== undefined && count < f.min) throw new Error(f.packet + ': ' + name + ' must be min. ' + f.min + ' bytes, got ' + count);
+  return value;
+}
+
+/**
+ * Writes a prepared field value
+ */
+function write(buf, offset, f, value) {
+  switch (f.type) {
+    case 'u8': buf.writeUInt8(value, offset); break;
+    case 'u16': buf.writeUInt16BE(value, offset); break;
+    case 'u16le': buf.writeUInt16LE(value, offset); break;
+    case 'u32': buf.writeUInt32BE(value, offset); break;
+    case 'u64': buf.writeBigUInt64BE(BigInt(value), offset); break;
+    case 'ip': value.split('.').forEach((n, i) => buf.writeUInt8(+n, offset + i)); break;
+    case 'mac': Buffer.from(value.replace(/:/g, ''), 'hex').copy(buf, offset); break;
+    case 'uid': rdm.uidFromString(value).copy(buf, offset); break;
+    case 'string': case 'text': buf.write(value, offset, 'latin1'); break;
+    case 'bytes': case 'data': value.copy(buf, offset); break;
+    case 'list':
+      value.forEach((v, i) => {
+        if (f.unit === 6) rdm.uidFromString(v).copy(buf, offset + i * 6);
+        else buf.writeUInt8(v, offset + i);
+      });
+      break;
+  }
+}
+
+/**
+ * Reads a field value
+ */
+function read(buf, offset, f, size) {
+  switch (f.type) {
+    case 'u8': return buf.readUInt8(offset);
+    case 'u16': return buf.readUInt16BE(offset);
+    case 'u16le': return buf.readUInt16LE(offset);
+    case 'u32': return buf.readUInt32BE(offset);
+    case 'u64': return Number(buf.readBigUInt64BE(offset));
+    case 'ip': return Array.from(buf.subarray(offset, offset + 4)).join('.');
+    case 'mac': return buf.toString('hex', offset, offset + 6).match(/.{2}/g).join(':');
+    case 'uid': return rdm.uidToString(buf.subarray(offset, offset + 6));
+    case 'string': case 'text': return buf.toString('latin1', offset, offset + size).replace(/\0.*$/s, '');
+    case 'bytes': return Array.from(buf.subarray(offset, offset + size));
+    case 'data': return buf.subarray(offset, offset + size);
+    case 'list':
+      if (f.unit === 6) return Array.from({ length: size / 6 }, (_, i) => rdm.uidToString(buf.subarray(offset + i * 6, offset + i * 6 + 6)));
+      return Array.from(buf.subarray(offset, offset + size));
+  }
+}
+
+/**
+ * Builds an Art-Net packet
+ *
+ * @param {string|number} opcode - Opcode, or packet name e.g. 'ArtDmx'
+ * @param {object} fields - Field values, omitted fields are zero (protVer: 14). Count fields default to the size of their data.
+ * @returns {Buffer} - UDP payload
+ */
+function encode(opcode, fields = {}) {
+  opcode = opcodeOf(opcode);
+  const packet = PACKETS[opcode];
+  const known = new Set(packet.fields.map((f) => f.name));
+  for (const key of Object.keys(fields))
+    if (!known.has(key) && key !== 'opcode' && key !== 'name')
+      throw new Error(packet.name + ': unknown field ' + key);
+
+  // Validate, and size the variable field
+  const values = new Map();
+  let size = HEADER_SIZE;
+  for (const f of packet.fields) {
+    const value = prepare(f, fields[f.name]);
+    if (f.type !== 'pad') values.set(f.name, value);
+    size += f.size !== null ? f.size : variableSize(f, value);
+  }
+  for (const f of packet.fields) {
+    if (!f.count) continue;
+    const value = values.get(f.name);
+    const count = f.type === 'list' ? value.length : variableSize(f, value);
+    if (fields[f.count] === undefined || fields[f.count] === null) values.set(f.count, count);
+    else if (fields[f.count] !== count)
+      throw new Error(packet.name + ': ' + f.count + ' ' + fields[f.count] + ' does not match the size of ' + f.name + ' (' + count + ')');
+  }
+
+  const buf = Buffer.alloc(size);
+  ID.copy(buf, 0);
+  buf.writeUInt16LE(opcode, 8);
+  let offset = HEADER_SIZE;
+  for (const f of packet.fields) {
+    const value = values.get(f.name);
+    if (f.type !== 'pad') write(buf, offset, f, value);
+    offset += f.size !== null ? f.size : variableSize(f, value);
+  }
+  return buf;
+}
+
+/**
+ * Parses an Art-Net packet
+ *
+ * @param {Buffer|Uint8Array} buffer - UDP payload
+ * @returns {object} - {opcode, name, ...fields}. Fields beyond the end of short packets (older revisions) are undefined.
+ */
+function decode(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (buf.length < HEADER_SIZE) throw new Error('Art-Net packet too short: ' + buf.length + ' bytes');
+  if (ID.compare(buf, 0, 8) !== 0) throw new Error('Not an Art-Net packet: invalid ID');
+
+  const opcode = opcodeOf(buf.readUInt16LE(8));
+  const packet = PACKETS[opcode];
+  if (buf.length < packet.min) throw new Error(packet.name + ' too short: ' + buf.length + ' bytes, min. ' + packet.min);
+
+  const result = { opcode, name: packet.name };
+  let offset = HEADER_SIZE;
+  for (const f of packet.fields) {
+    let size = f.size;
+    if (size === null) {
+      const available = buf.length - offset;
+      if (f.count) {
+        size = result[f.count] * (f.unit || 1);
+        if (f.type === 'list' && f.max !== undefined && result[f.count] > f.max)
+          throw new Error(packet.name + ': ' + f.count + ' ' + result[f.count] + ' exceeds max. ' + f.max);
+        if (size > available)
+          throw new Error(packet.name + ': ' + f.count + ' ' + result[f.count] + ' exceeds the packet (' + available + ' bytes of ' + f.name + ')');
+      }
+      else size = f.max !== undefined ? Math.min(available, f.max) : available;
+      if (f.min !== undefined && size < f.min) throw new Error(packet.name + ': ' + f.name + ' must be min. ' + f.min + ' bytes, got ' + size);
+      if (f.max !== undefined && f.type !== 'list' && size > f.max) throw new Error(packet.name + ': ' + f.count + ' ' + size + ' exceeds max. ' + f.max);
+    }
+    else if (offset + size > buf.length) {
+      // Trailing fixed size data (ArtTrigger, ArtFirmwareMaster) may be cut short
+      if (f.type === 'data') size = buf.length - offset;
+      else break;
+    }
+    if (f.type !== 'pad') result[f.name] = read(buf, offset, f, size);
+    offset += size;
+  }
+  return result;
+}
+
+module.exports = { PROTOCOL_VERSION, OPCODES, NODE_REPORT, encode, decode };
@@ -0,0 +1,265 @@
+// Description: Fixture profiles, and fixtures patched on a sender
+//
+// Native profile format:
+//
+//   {
+//     "name": "Spot 250",
+//     "channels": {
+//       "dimmer": { "default": 0 },
+//       "pan":    { "fine": "pan_fine", "range": [0, 540], "default": 270 },
+//       "red": {}, "green": {}, "blue": {}
+//     },
+//     "modes": { "default": ["dimmer", "pan", "pan_fine", "red", "green", "blue"] }
+//   }
+//
+// Attribute values are given in their range (default [0, 1]), 16 bit when a fine channel is patched.
+// Open Fixture Library exports (availableChannels / modes) are converted to this format.
+
+const fs = require('fs');
+
+const name2key = (name) => String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Converts an Open Fixture Library fixture to the native profile format
+ *
+ * @param {object} ofl - OFL fixture definition
+ * @returns {object} - Native profile
+ */
+function fromOFL(ofl) {
+  const channels = {};
+
+  for (const [name, def] of Object.entries(ofl.availableChannels || {})) {
+    const key = name2key(name);
+    const channel = {};
+    const cap = def.capability || {};
+
+    // Fine channels, 16 bit only
+    if (def.fineChannelAliases && def.fineChannelAliases.length > 0)
+      channel.fine = name2key(def.fineChannelAliases[0]);
+
+    // Angles give the attribute range
+    const start = parseFloat(cap.angleStart);
+    const end = parseFloat(cap.angleEnd);
+    if (!isNaN(start) && !isNaN(end)) channel.range = [start, end];
+
+    // Default: DMX value or percentage
+    if (typeof def.defaultValue === 'number') channel.dmxDefault = def.defaultValue;
+    else if (typeof def.defaultValue === 'string' && def.defaultValue.endsWith('%'))
+      channel.ratioDefault = parseFloat(def.defaultValue) / 100;
+
+    if (cap.type === 'ColorIntensity' && cap.color) channel.color = cap.color.toLowerCase();
+    channels[key] = channel;
+  }
+
+  const modes = {};
+  for (const mode of ofl.modes || [])
+    modes[mode.shortName || mode.name] = (mode.channels || []).map((c) => c === null ? null : name2key(c));
+
+  return { name: ofl.name, channels, modes };
+}
+
+/**
+ * Class representing a fixture profile, in one mode
+ */
+class FixtureProfile {
+
+  /**
+   * @param {object} def - Native or OFL profile
+   * @param {string} mode - Mode name, default to the first one
+   */
+  constructor(def, mode) {
+    if (def.availableChannels) def = fromOFL(def);
+    if (!def.channels || !def.modes) throw new Error('Invalid fixture profile: channels and modes required');
+
+    const modeName = mode || Object.keys(def.modes)[0];
+    const layout = def.modes[modeName];
+    if (!layout) throw new Error('Unknown fixture mode: ' + mode);
+
+    this.name = def.name;
+    this.mode = modeName;
+    this.layout = layout.map((c) => c === null ? null : name2key(c));
+    this.footprint = this.layout.length;
+    this.attributes = new Map();  // name -> {coarse, fine, range, default, color}
+
+    const offsetOf = (key) => this.layout.indexOf(key);
+    const fines = new Set(Object.values(def.channels).map((c) => c.fine && name2key(c.fine)).filter(Boolean));
+
+    for (const [name, channel] of Object.entries(def.channels)) {
+      const key = name2key(name);
+      if (fines.has(key) || offsetOf(key) < 0) continue;  // fine channel, or not in this mode
+
+      const fine = channel.fine ? offsetOf(name2key(channel.fine)) : -1;
+      const range = channel.range || [0, 1];
+      const attribute = {
+        coarse: offsetOf(key),
+        fine: fine >= 0 ? fine : undefined,
+        range: range,
+        color: channel.color || (['red', 'green', 'blue', 'white', 'amber', 'uv'].includes(key) ? key : undefined),
+      };
+
+      // Default as raw DMX value for OFL, as attribute value otherwise
+      if (channel.dmxDefault !== undefined) attribute.dmxDefault = channel.dmxDefault;
+      else if (channel.ratioDefault !== undefined) attribute.default = range[0] + (range[1] - range[0]) * channel.ratioDefault;
+      else attribute.default = channel.default !== undefined ? channel.default : range[0];
+
+      this.attributes.set(key, attribute);
+    }
+  }
+
+  /**
+   * Encodes an attribute value to DMX values
+   *
+   * @param {string} name - Attribute name
+   * @param {number} value - Value in attribute range
+   * @returns {Array} - [[offset, dmx], ...]
+   */
+  encode(name, value) {
+    const attribute = this.attributes.get(name2key(name));
+    if (!attribute) throw new Error('Unknown fixture attribute: ' + name);
+
+    const [min, max] = attribute.range;
+    // A single value range: min and below is 0, above is full
+    const ratio = max === min ? (value > min ? 1 : 0) : Math.max(0, Math.min(1, (value - min) / (max - min)));
+    if (attribute.fine === undefined) return [[attribute.coarse, Math.round(ratio * 255)]];
+
+    const dmx = Math.round(ratio * 65535);
+    return [[attribute.coarse, dmx >> 8], [attribute.fine, dmx & 0xFF]];
+  }
+
+  /**
+   * DMX values of all attributes at their default
+   *
+   * @returns {Array} - [[offset, dmx], ...]
+   */
+  defaults() {
+    const values = [];
+    for (const [name, attribute] of this.attributes) {
+      if (attribute.dmxDefault === undefined) values.push(...this.encode(name, attribute.default));
+      else {
+        // OFL default is a 8 bit value of the coarse channel
+        values.push([attribute.coarse, attribute.dmxDefault]);
+        if (attribute.fine !== undefined) values.push([attribute.fine, 0]);
+      }
+    }
+    return values;
+  }
+}
+
+/**
+ * Loads a fixture profile from a JSON file or object
+ *
+ * @param {string|object} source - Path of a JSON file, or profile object
+ * @param {string} mode - Mode name, default to the first one
+ * @returns {FixtureProfile} - Profile
+ */
+function loadProfile(source, mode) {
+  const def = (typeof source === 'string') ? JSON.parse(fs.readFileSync(source, 'utf8')) : source;
+  return new FixtureProfile(def, mode);
+}
+
+/**
+ * Parses a color: '#rrggbb', [r, g, b] or {red, green, blue, ...} with 0-255 components
+ *
+ * @param {string|Array|object} color - Color
+ * @returns {object} - {red, green, blue, ...} as 0-1 ratios
+ */
+function parseColor(color) {
+  if (typeof color === 'string') {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    if (!m) throw new Error('Invalid color: ' + color);
+    color = [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)];
+  }
+  if (Array.isArray(color)) color = { red: color[0], green: color[1], blue: color[2] };
+
+  const ratios = {};
+  for (const [key, value] of Object.entries(color)) ratios[name2key(key)] = value / 255;
+  return ratios;
+}
+
+/**
+ * Class representing a fixture patched on a sender
+ */
+class Fixture {
+
+  /**
+   * @param {FixtureProfile} profile - Fixture profile
+   * @param {Sender} sender - Sender of the universe
+   * @param {number} address - DMX start address (1-512)
+   * @param {string} name - Fixture name
+   */
+  constructor(profile, sender, address, name) {
+    this.profile = profile;
+    this.sender = sender;
+    this.address = address;
+    this.name = name || profile.name + ' @' + address;
+    this.state = {};
+  }
+
+  /**
+   * First and last channel (0-511) used on the sender
+   */
+  get channels() {
+    return [this.address - 1, this.address - 2 + this.profile.footprint];
+  }
+
+  /**
+   * Sets attributes and transmits. color is split on the color attributes of the profile.
+   *
+   * @param {object} attributes - {name: value, ..., color: '#rrggbb'}
+   * @param {boolean} transmit - Transmit the change, default true
+   */
+  set(attributes, transmit = true) {
+    for (const [name, value] of Object.entries(attributes)) {
+      if (name === 'color') {
+        let ratios;
+        try {
+          ratios = parseColor(value);
+        } catch (err) {
+          this.sender.parent.handleError(err);
+          continue;
+        }
+        for (const [attr, attribute] of this.profile.attributes)
+          if (attribute.color && ratios[attribute.color] !== undefined) {
+            const [min, max] = attribute.range;
+            this.write(attr, min + (max - min) * ratios[attribute.color]);
+          }
+      }
+      else this.write(name, value);
+    }
+    if (transmit) this.sender.transmit();
+  }
+
+  /**
+   * Writes an attribute value to the sender without transmitting
+   */
+  write(name, value) {
+    if (!this.profile.attributes.has(name2key(name)))
+      return this.sender.parent.handleError(new Error('Unknown fixture attribute: ' + name + ' (' + this.name + ')'));
+    for (const [offset, dmx] of this.profile.encode(name, value))
+      this.sender.prepChannel(this.address - 1 + offset, dmx);
+    this.state[name2key(name)] = value;
+  }
+
+  /**
+   * Returns the last value set on an attribute
+   *
+   * @param {string} name - Attribute name
+   */
+  get(name) {
+    return this.state[name2key(name)];
+  }
+
+  /**
+   * Sets all attributes to their default and transmits
+   *
+   * @param {boolean} transmit - Transmit the change, default true
+   */
+  reset(transmit = true) {
+    for (const [offset, dmx] of this.profile.defaults())
+      this.sender.prepChannel(this.address - 1 + offset, dmx);
+    this.state = {};
+    if (transmit) this.sender.transmit();
+  }
+}
+
+module.exports = { FixtureProfile, Fixture, loadProfile, fromOFL };
@@ -0,0 +1,210 @@
+// Description: RDM (ANSI E1.20) messages, as carried by ArtRdm
+//
+
+const START_CODE = 0xCC;
+const SUB_START_CODE = 0x01;
+
+const GET_COMMAND = 0x20;
+const GET_COMMAND_RESPONSE = 0x21;
+const SET_COMMAND = 0x30;
+const SET_COMMAND_RESPONSE = 0x31;
+
+const RESPONSE_TYPES = ['ack', 'ack_timer', 'nack_reason', 'ack_overflow'];
+
+// Common parameter IDs
+const PIDS = {
+  DEVICE_INFO: 0x0060,
+  DEVICE_MODEL_DESCRIPTION: 0x0080,
+  MANUFACTURER_LABEL: 0x0081,
+  DEVICE_LABEL: 0x0082,
+  SOFTWARE_VERSION_LABEL: 0x00C0,
+  DMX_PERSONALITY: 0x00E0,
+  DMX_PERSONALITY_DESCRIPTION: 0x00E1,
+  DMX_START_ADDRESS: 0x00F0,
+  IDENTIFY_DEVICE: 0x1000,
+};
+
+const label = {
+  decode: (pd) => pd.toString('latin1').replace(/\0.*$/, ''),
+  encode: (value) => Buffer.from(String(value).substring(0, 32), 'latin1'),
+};
+
+// Parameter data codecs, per PID
+const CODECS = {
+  [PIDS.DEVICE_INFO]: {
+    size: 19,
+    decode: (pd) => ({
+      rdmVersion: pd.readUInt16BE(0),
+      model: pd.readUInt16BE(2),
+      category: pd.readUInt16BE(4),
+      softwareVersion: pd.readUInt32BE(6),
+      footprint: pd.readUInt16BE(10),
+      personality: pd.readUInt8(12),
+      personalityCount: pd.readUInt8(13),
+      startAddress: pd.readUInt16BE(14),
+      subDeviceCount: pd.readUInt16BE(16),
+      sensorCount: pd.readUInt8(18),
+    }),
+  },
+  [PIDS.DEVICE_MODEL_DESCRIPTION]: label,
+  [PIDS.MANUFACTURER_LABEL]: label,
+  [PIDS.DEVICE_LABEL]: label,
+  [PIDS.SOFTWARE_VERSION_LABEL]: label,
+  [PIDS.DMX_PERSONALITY]: {
+    size: 2,
+    decode: (pd) => ({ personality: pd.readUInt8(0), personalityCount: pd.readUInt8(1) }),
+    encode: (value) => Buffer.from([value]),
+  },
+  [PIDS.DMX_PERSONALITY_DESCRIPTION]: {
+    size: 3,
+    decode: (pd) => ({
+      personality: pd.readUInt8(0),
+      footprint: pd.readUInt16BE(1),
+      description: label.decode(pd.subarray(3)),
+    }),
+    encode: (value) => Buffer.from([value]),
+  },
+  [PIDS.DMX_START_ADDRESS]: {
+    size: 2,
+    decode: (pd) => pd.readUInt16BE(0),
+    encode: (value) => { const b = Buffer.alloc(2); b.writeUInt16BE(value); return b; },
+  },
+  [PIDS.IDENTIFY_DEVICE]: {
+    size: 1,
+    decode: (pd) => pd.readUInt8(0) === 1,
+    encode: (value) => Buffer.from([value ? 1 : 0]),
+  },
+};
+
+/**
+ * Formats an UID as 'MMMM:DDDDDDDD'
+ *
+ * @param {Buffer} buf - 6 bytes UID
+ * @returns {string} - UID string
+ */
+function uidToString(buf) {
+  return buf.toString('hex', 0, 2) + ':' + buf.toString('hex', 2, 6);
+}
+
+/**
+ * Parses an UID string 'MMMM:DDDDDDDD'
+ *
+ * @param {string} uid - UID string
+ * @returns {Buffer} - 6 bytes UID
+ */
+function uidFromString(uid) {
+  const hex = uid.replace(':', '');
+  if (!/^[0-9a-fA-F]{12}$/.test(hex)) throw new Error('Invalid RDM UID: ' + uid);
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Resolves a PID name or number
+ *
+ * @param {string|number} pid - PID number or name from PIDS (case insensitive)
+ * @returns {number} - PID number
+ */
+function pidFromName(pid) {
+  if (typeof pid === 'number') return pid;
+  const value = PIDS[String(pid).toUpperCase()];
+  if (value === undefined) throw new Error('Unknown RDM PID: ' + pid);
+  return value;
+}
+
+/**
+ * Builds a RDM request, without start code as carried by ArtRdm
+ *
+ * @param {object} m - {destination, source (UID strings), transaction, port, subDevice, commandClass, pid, data (Buffer)}
+ * @returns {Buffer} - RDM packet from sub start code to checksum
+ */
+function encode(m) {
+  const data = m.data || Buffer.alloc(0);
+  const length = 24 + data.length;  // start code to end of parameter data
+  const buf = Buffer.alloc(length + 1);
+
+  buf.writeUInt8(SUB_START_CODE, 0);
+  buf.writeUInt8(length, 1);
+  uidFromString(m.destination).copy(buf, 2);
+  uidFromString(m.source).copy(buf, 8);
+  buf.writeUInt8(m.transaction & 0xFF, 14);
+  buf.writeUInt8(m.port !== undefined ? m.port : 1, 15);
+  buf.writeUInt8(0, 16);                        // Message count
+  buf.writeUInt16BE(m.subDevice || 0, 17);
+  buf.writeUInt8(m.commandClass, 19);
+  buf.writeUInt16BE(m.pid, 20);
+  buf.writeUInt8(data.length, 22);
+  data.copy(buf, 23);
+
+  let checksum = START_CODE;
+  for (let i = 0; i < length - 1; i++) checksum += buf[i];
+  buf.writeUInt16BE(checksum & 0xFFFF, length - 1);
+
+  return buf;
+}
+
+/**
+ * Parses a RDM message, without start code as carried by ArtRdm
+ *
+ * @param {Buffer} buf - RDM packet from sub start code to checksum
+ * @returns {object} - Parsed message, data is decoded for known PIDs
+ */
+function decode(buf) {
+  if (buf.length < 25 || buf[0] !== SUB_START_CODE) throw new Error('Invalid RDM message');
+  const length = buf.readUInt8(1);
+  if (length < 24 || buf.length < length + 1) throw new Error('Invalid RDM message length');
+
+  let checksum = START_CODE;
+  for (let i = 0; i < length - 1; i++) checksum += buf[i];
+  if ((checksum & 0xFFFF) !== buf.readUInt16BE(length - 1)) throw new Error('Invalid RDM checksum');
+
+  const pdl = buf.readUInt8(22);
+  const m = {
+    destination: uidToString(buf.subarray(2, 8)),
+    source: uidToString(buf.subarray(8, 14)),
+    transaction: buf.readUInt8(14),
+    responseType: RESPONSE_TYPES[buf.readUInt8(15)] || buf.readUInt8(15),
+    messageCount: buf.readUInt8(16),
+    subDevice: buf.readUInt16BE(17),
+    commandClass: buf.readUInt8(19),
+    pid: buf.readUInt16BE(20),
+    data: buf.subarray(23, 23 + pdl),
+  };
+  if (m.responseType === 'nack_reason' && pdl >= 2) m.nackReason = m.data.readUInt16BE(0);
+  return m;
+}
+
+/**
+ * Decodes the parameter data of a response
+ *
+ * @param {number} pid - PID number
+ * @param {Buffer} data - Parameter data
+ * @returns {*} - Decoded value, data as is for unknown PIDs, undefined if empty
+ */
+function decodeData(pid, data) {
+  if (data.length === 0) return undefined;
+  const codec = CODECS[pid];
+  if (!codec) return data;
+  if (data.length < (codec.size || 0))
+    throw new Error('RDM PID 0x' + pid.toString(16) + ': parameter data too short, ' + data.length + ' bytes, min. ' + codec.size);
+  return codec.decode(data);
+}
+
+/**
+ * Encodes a parameter value for a request
+ *
+ * @param {number} pid - PID number
+ * @param {*} value - Value, or Buffer used as is
+ * @returns {Buffer} - Parameter data
+ */
+function encodeData(pid, value) {
+  if (value === undefined || value === null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(value)) return value;
+  const codec = CODECS[pid];
+  if (!codec || !codec.encode) throw new Error('No encoder for RDM PID 0x' + pid.toString(16) + ', use a Buffer');
+  return codec.encode(value);
+}
+
+module.exports = {
+  GET_COMMAND, GET_COMMAND_RESPONSE, SET_COMMAND, SET_COMMAND_RESPONSE, PIDS,
+  uidToString, uidFromString, pidFromName, encode, decode, decodeData, encodeData
+};
@@ -0,0 +1,357 @@
+// Description: Record ArtDmx frames to show files and play them back
+//
+// Show file layout (all integers big endian):
+//
+//   Header   'HNREC' Int8[5], Version Int8, StartTime Float64 (epoch ms)
+//   Frame    Delta UInt32 (µs since previous frame), PortAddress UInt16,
+//            Length UInt16, Data Int8[Length]
+//
+// Delta is clamped to 0xFFFFFFFF (~71 minutes of silence between frames).
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+
+const MAGIC = 'HNREC';
+const VERSION = 1;
+const HEADER_SIZE = 14;
+const FRAME_HEADER_SIZE = 8;
+
+/**
+ * Parses a show file buffer into a list of frames
+ *
+ * @param {Buffer} buf - Content of a show file
+ * @returns {object} - {startTime, duration, frames: [{time, port_address, data}]}, time in ms
+ */
+function parseShow(buf) {
+  if (buf.length < HEADER_SIZE || buf.toString('latin1', 0, 5) !== MAGIC)
+    throw new Error('Invalid show file: bad header');
+  if (buf.readUInt8(5) !== VERSION)
+    throw new Error('Invalid show file: unsupported version ' + buf.readUInt8(5));
+
+  const show = {
+    startTime: buf.readDoubleBE(6),
+    duration: 0,
+    frames: []
+  };
+
+  let offset = HEADER_SIZE;
+  let time = 0;
+  while (offset + FRAME_HEADER_SIZE <= buf.length) {
+    const length = buf.readUInt16BE(offset + 6);
+    if (offset + FRAME_HEADER_SIZE + length > buf.length) break;  // truncated last frame (recorder killed)
+
+    time += buf.readUInt32BE(offset) / 1000;
+    show.frames.push({
+      time: time,
+      port_address: buf.readUInt16BE(offset + 4),
+      data: buf.subarray(offset + FRAME_HEADER_SIZE, offset + FRAME_HEADER_SIZE + length)
+    });
+    offset += FRAME_HEADER_SIZE + length;
+  }
+  show.duration = time;
+
+  return show;
+}
+
+
+/**
+ * Class representing a recorder, writing frames of one or more receivers to a show file
+ */
+class Recorder extends EventEmitter {
+
+  options = {
+    file: null,         // Path of the show file to write
+    receivers: [],      // Receivers to record
+  }
+
+  constructor(opt, parent) {
+    super();
+    this.parent = parent;
+
+    // set options
+    for (var key in this.options)
+      this.options[key] = opt[key] !== undefined ? opt[key] : this.options[key];
+
+    if (!this.options.file) this.parent.handleError(new Error('Recorder: no file given'));
+
+    this.recording = false;
+    this.frameCount = 0;
+    this.stream = null;
+    this.listeners = new Map();  // receiver -> data listener
+
+    for (const receiver of this.options.receivers) this.attach(receiver);
+  }
+
+  /**
+   * Adds a receiver to the recording
+   *
+   * @param {Receiver} receiver - Receiver to record
+   */
+  attach(receiver) {
+    if (this.listeners.has(receiver)) return;
+    // Wildcard receivers: port address of each frame
+    const listener = (data, info) => this.write(info ? info.port_address : receiver.port_address, data);
+    receiver.on('data', listener);
+    this.listeners.set(receiver, listener);
+  }
+
+  /**
+   * Removes a receiver from the recording
+   *
+   * @param {Receiver} receiver - Receiver to remove
+   */
+  detach(receiver) {
+    const listener = this.listeners.get(receiver);
+    if (!listener) return;
+    receiver.removeListener('data', listener);
+    this.listeners.delete(receiver);
+  }
+
+  /**
+   * Opens the show file and starts recording
+   */
+  start() {
+    if (this.recording) return;
+    if (!this.options.file) return this.parent.handleError(new Error('Recorder: no file given'));
+
+    this.stream = fs.createWriteStream(this.options.file);
+    this.stream.on('error', (err) => this.parent.handleError(err));
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write(MAGIC, 0, 'latin1');
+    header.writeUInt8(VERSION, 5);
+    header.writeDoubleBE(Date.now(), 6);
+    this.stream.write(header);
+
+    this.frameCount = 0;
+    this.lastTime = process.hrtime.bigint();
+    this.recording = true;
+    this.parent.logger.info(`RECORDER started: ${this.options.file}`);
+  }
+
+  /**
+   * Writes a frame to the show file
+   *
+   * @param {number} port_address - 15 bit port address of the frame
+   * @param {Buffer} data - DMX values
+   */
+  write(port_address, data) {
+    if (!this.recording) return;
+
+    const now = process.hrtime.bigint();
+    const delta = Number((now - this.lastTime) / 1000n);
+    this.lastTime = now;
+
+    const frame = Buffer.alloc(FRAME_HEADER_SIZE + data.length);
+    frame.writeUInt32BE(Math.min(delta, 0xFFFFFFFF), 0);
+    frame.writeUInt16BE(port_address, 4);
+    frame.writeUInt16BE(data.length, 6);
+    frame.set(data, FRAME_HEADER_SIZE);
+    this.stream.write(frame);
+
+    this.frameCount++;
+    this.parent.logger.trace('Recorder: frame ' + this.frameCount + ' / addr: ' + port_address);
+  }
+
+  /**
+   * Stops recording and closes the show file
+   *
+   * @returns {Promise} - Resolves when the file is flushed
+   */
+  stop() {
+    if (!this.recording) return Promise.resolve();
+    this.recording = false;
+
+    return new Promise((resolve) => {
+      this.stream.end(() => {
+        this.parent.logger.info(`RECORDER stopped: ${this.options.file} (${this.frameCount} frames)`);
+        this.emit('stop', this.frameCount);
+        resolve();
+      });
+    });
+  }
+}
+
+
+/**
+ * Class representing a player, streaming a show file through senders
+ */
+class Player extends EventEmitter {
+
+  options = {
+    file: null,         // Path of the show file to play
+    senders: [],        // Senders to play through, matched by port address
+    loop: false,        // Restart at the end of the show
+    speed: 1,           // Playback speed factor
+  }
+
+  constructor(opt, parent) {
+    super();
+    this.parent = parent;
+
+    // set options
+    for (var key in this.options)
+      this.options[key] = opt[key] !== undefined ? opt[key] : this.options[key];
+
+    if (!this.options.file) this.parent.handleError(new Error('Player: no file given'));
+    if (!(this.options.speed > 0)) this.parent.handleError(new Error('Player: speed must be greater than 0'));
+
+    // Unreadable or invalid file: empty show
+    this.show = { startTime: 0, duration: 0, frames: [] };
+    try {
+      this.show = parseShow(fs.readFileSync(this.options.file));
+    } catch (err) {
+      this.parent.handleError(new Error('Player: ' + err.message));
+    }
+    this.playing = false;
+    this.index = 0;         // Next frame to play
+    this.position = 0;      // Show time (ms) when paused
+    this.timer = null;
+
+    this.parent.logger.info(`PLAYER loaded: ${this.options.file} (${this.show.frames.length} frames, ${Math.round(this.show.duration)} ms)`);
+  }
+
+  /**
+   * Show duration in ms
+   */
+  get duration() {
+    return this.show.duration;
+  }
+
+  /**
+   * Current show time in ms
+   */
+  get currentTime() {
+    if (!this.playing) return this.position;
+    return (performance.now() - this.origin) * this.options.speed;
+  }
+
+  /**
+   * Starts or resumes playback
+   */
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.origin = performance.now() - this.position / this.options.speed;
+    this.emit('play', this.position);
+    this.tick();
+  }
+
+  /**
+   * Pauses playback, keeping the current position
+   */
+  pause() {
+    if (!this.playing) return;
+    this.position = this.currentTime;
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.emit('pause', this.position);
+  }
+
+  /**
+   * Stops playback and rewinds to the start
+   */
+  stop() {
+    this.playing = false;
+    clearTimeout(this.timer);
+    this.position = 0;
+    this.index = 0;
+    this.emit('stop');
+  }
+
+  /**
+   * Jumps to a position, outputting the latest frame of each universe before it
+   *
+   * @param {number} time - Show time in ms
+   */
+  seek(time) {
+    time = Math.max(0, Math.min(time, this.show.duration));
+    const playing = this.playing;
+    if (playing) this.pause();
+
+    // first frame at or after time
+    let lo = 0, hi = this.show.frames.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.show.frames[mid].time < time) lo = mid + 1;
+      else hi = mid;
+    }
+    this.index = lo;
+    this.position = time;
+
+    // restore the look at this position
+    const latest = new Map();
+    for (let i = 0; i < lo; i++) latest.set(this.show.frames[i].port_address, this.show.frames[i]);
+    for (const frame of latest.values()) this.output(frame);
+
+    this.emit('seek', time);
+    if (playing) this.play();
+  }
+
+  /**
+   * Changes playback speed without jumping
+   *
+   * @param {number} speed - Speed factor (1 = realtime)
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) return this.parent.handleError(new Error('Player: speed must be greater than 0'));
+    const time = this.currentTime;
+    this.options.speed = speed;
+    if (this.playing) this.origin = performance.now() - time / speed;
+    else this.position = time;
+  }
+
+  /**
+   * Outputs every due frame and schedules the next one
+   */
+  tick() {
+    if (!this.playing) return;
+    const frames = this.show.frames;
+    const now = this.currentTime;
+
+    while (this.index < frames.length && frames[this.index].time <= now)
+      this.output(frames[this.index++]);
+
+    // end of show
+    if (this.index >= frames.length) {
+      if (this.options.loop && frames.length > 0) {
+        // next cycle at least one frame interval after this one, even for a show without duration
+        this.index = 0;
+        this.origin = Math.max(performance.now(), this.origin + 1000 / this.parent.options.frame_rate / this.options.speed);
+        this.emit('loop');
+      }
+      else {
+        this.playing = false;
+        this.position = 0;
+        this.index = 0;
+        this.emit('end');
+        return;
+      }
+    }
+
+    // wake up at next frame, relative to origin to avoid drift
+    const delay = (frames[this.index].time - this.currentTime) / this.options.speed;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, delay));
+  }
+
+  /**
+   * Sends a frame through matching senders
+   *
+   * @param {object} frame - Frame from the show file
+   */
+  output(frame) {
+    let sent = false;
+    for (const sender of this.options.senders)
+      if (sender.port_address === frame.port_address) {
+        for (let ch = 0; ch < sender.values.length; ch++)
+          sender.values[ch] = ch < frame.data.length ? frame.data[ch] : 0;
+        sender.transmit();
+        sent = true;
+      }
+    if (!sent) this.parent.logger.trace('Player: no sender for addr: ' + frame.port_address);
+  }
+}
+
+
+module.exports = { Recorder, Player, parseShow };
@@ -0,0 +1,171 @@
+// Description: Universe routing, from receivers to senders
+//
+// Route config:
+//
+//   {
+//     inputs:  [{ universe: 0, from: '10.0.0.0/16' }, receiver, ...],  // receiver options, Receiver instances,
+//                                                                       // or {receiver, patch, offset, scale}
+//     outputs: [{ universe: 0, to: '2.255.255.255' }, sender, ...],    // sender options or Sender instances
+//     merge: 'htp',                  // 'htp' or 'ltp' between inputs, default 'htp'
+//     patch: { 0: 10, 1: [11, 12] }, // soft patch: input channel -> output channel(s), default 1:1
+//     offset: 0,                     // added to output channels, default 0
+//     scale: 1,                      // value factor, or {input channel: factor}, default 1
+//   }
+//
+// patch, offset and scale apply to every input, and can be overridden per input.
+
+const TRANSFORM_KEYS = ['patch', 'offset', 'scale'];
+
+/**
+ * Class representing a route
+ */
+class Route {
+
+  constructor(config, parent) {
+    this.parent = parent;
+    this.merge = config.merge || 'htp';
+    if (this.merge !== 'htp' && this.merge !== 'ltp')
+      this.parent.handleError(new Error('Invalid route merge mode: must be htp or ltp'));
+
+    this.values = new Array(512).fill(0);
+    this.created = [];  // senders and receivers created from options, stopped with the route
+
+    // Outputs: senders
+    this.outputs = (config.outputs || []).map((output) => {
+      if (typeof output.transmit === 'function') return output;
+      const sender = this.parent.newSender(output);
+      this.created.push(sender);
+      return sender;
+    });
+
+    // Inputs: receivers, with their own transform
+    this.inputs = (config.inputs || []).map((input) => {
+      let receiver = input;
+      let transform = {};
+      if (typeof input.on !== 'function') {
+        receiver = input.receiver || this.parent.newReceiver(input);
+        if (!input.receiver) this.created.push(receiver);
+        transform = input;
+      }
+
+      const entry = { receiver, mapped: new Array(512).fill(null) };
+      for (const key of TRANSFORM_KEYS)
+        entry[key] = transform[key] !== undefined ? transform[key] : config[key];
+      entry.listener = (data) => this.receive(entry, data);
+      receiver.on('data', entry.listener);
+      return entry;
+    });
+
+    if (this.inputs.length < 1 || this.outputs.length < 1)
+      this.parent.logger.warn('Route: no input or no output');
+  }
+
+  /**
+   * Maps received data through the input transform, merges and outputs it
+   *
+   * @param {object} input - Input entry
+   * @param {Array} data - Received values
+   */
+  receive(input, data) {
+    const mapped = new Array(512).fill(null);
+    const offset = input.offset || 0;
+
+    for (let ch = 0; ch < data.length; ch++) {
+      let targets = ch;
+      if (input.patch) {
+        targets = input.patch[ch];
+        if (targets === undefined) continue;
+      }
+
+      let factor = 1;
+      if (typeof input.scale === 'number') factor = input.scale;
+      else if (input.scale && input.scale[ch] !== undefined) factor = input.scale[ch];
+      const value = Math.max(0, Math.min(255, Math.round(data[ch] * factor)));
+
+      for (const target of [].concat(targets)) {
+        const out = target + offset;
+        if (out >= 0 && out < 512) mapped[out] = value;
+      }
+    }
+    const previous = input.mapped;
+    input.mapped = mapped;
+
+    // HTP: highest of all inputs / LTP: latest change wins, the channels this input changed
+    if (this.merge === 'htp' && this.inputs.length > 1) {
+      for (let ch = 0; ch < 512; ch++) {
+        let value = null;
+        for (const other of this.inputs)
+          if (other.mapped[ch] !== null && (value === null || other.mapped[ch] > value)) value = other.mapped[ch];
+        if (value !== null) this.values[ch] = value;
+      }
+    }
+    else {
+      for (let ch = 0; ch < 512; ch++)
+        if (mapped[ch] !== null && mapped[ch] !== previous[ch]) this.values[ch] = mapped[ch];
+    }
+
+    for (const sender of this.outputs) {
+      for (let ch = 0; ch < 512; ch++) sender.values[ch] = this.values[ch];
+      sender.transmit();
+    }
+  }
+
+  /**
+   * Detaches from inputs, stops senders and receivers created by the route
+   */
+  stop() {
+    for (const input of this.inputs) input.receiver.removeListener('data', input.listener);
+    for (const device of this.created) {
+      if (typeof device.transmit === 'function') device.stop();
+      else device.close();
+    }
+    this.inputs = [];
+    this.outputs = [];
+  }
+}
+
+
+/**
+ * Class representing a router: a set of routes declared from a config object
+ */
+class Router {
+
+  constructor(config, parent) {
+    this.parent = parent;
+    this.routes = [];
+    for (const route of (config && config.routes) || []) this.addRoute(route);
+  }
+
+  /**
+   * Adds a route
+   *
+   * @param {object} config - Route config
+   * @returns {Route} - Instance of Route
+   */
+  addRoute(config) {
+    const route = new Route(config, this.parent);
+    this.routes.push(route);
+    this.parent.logger.info(`ROUTE added: ${route.inputs.map((i) => i.receiver.port_address)} -> ${route.outputs.map((s) => s.port_address)}`);
+    return route;
+  }
+
+  /**
+   * Removes and stops a route
+   *
+   * @param {Route} route - Route to remove
+   */
+  removeRoute(route) {
+    route.stop();
+    this.routes = this.routes.filter((r) => r !== route);
+  }
+
+  /**
+   * Removes and stops all routes
+   */
+  stop() {
+    for (const route of this.routes) route.stop();
+    this.routes = [];
+  }
+}
+
+module.exports = { Router, Route };
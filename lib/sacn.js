@@ -0,0 +1,96 @@
+// Description: Streaming ACN (ANSI E1.31) data packets
+//
+
+const PORT = 5568;
+const ACN_PID = Buffer.from([0x41, 0x53, 0x43, 0x2d, 0x45, 0x31, 0x2e, 0x31, 0x37, 0x00, 0x00, 0x00]);
+
+const VECTOR_ROOT_E131_DATA = 0x00000004;
+const VECTOR_E131_DATA_PACKET = 0x00000002;
+const VECTOR_DMP_SET_PROPERTY = 0x02;
+
+const OPT_PREVIEW = 0x80;
+const OPT_TERMINATED = 0x40;
+
+const DATA_OFFSET = 126;  // First slot after the DMX start code
+
+/**
+ * Returns the multicast group of an universe
+ *
+ * @param {number} universe - sACN universe (1-63999)
+ * @returns {string} - Multicast ip
+ */
+function multicastGroup(universe) {
+  return '239.255.' + ((universe >> 8) & 0xFF) + '.' + (universe & 0xFF);
+}
+
+/**
+ * Builds an E1.31 data packet
+ *
+ * @param {object} p - {cid (Buffer[16]), sourceName, priority, sequence, terminated, universe, values}
+ * @returns {Buffer} - UDP payload
+ */
+function encode(p) {
+  const slots = p.values.length;
+  const buf = Buffer.alloc(DATA_OFFSET + slots);
+
+  // Root layer
+  buf.writeUInt16BE(0x0010, 0);                       // Preamble size
+  buf.writeUInt16BE(0x0000, 2);                       // Postamble size
+  ACN_PID.copy(buf, 4);
+  buf.writeUInt16BE(0x7000 | (buf.length - 16), 16);  // Flags & length
+  buf.writeUInt32BE(VECTOR_ROOT_E131_DATA, 18);
+  p.cid.copy(buf, 22, 0, 16);
+
+  // Framing layer
+  buf.writeUInt16BE(0x7000 | (buf.length - 38), 38);
+  buf.writeUInt32BE(VECTOR_E131_DATA_PACKET, 40);
+  buf.write(p.sourceName.substring(0, 63), 44, 63, 'utf8');
+  buf.writeUInt8(p.priority, 108);
+  buf.writeUInt16BE(0, 109);                          // Sync address
+  buf.writeUInt8(p.sequence, 111);
+  buf.writeUInt8(p.terminated ? OPT_TERMINATED : 0, 112);
+  buf.writeUInt16BE(p.universe, 113);
+
+  // DMP layer
+  buf.writeUInt16BE(0x7000 | (buf.length - 115), 115);
+  buf.writeUInt8(VECTOR_DMP_SET_PROPERTY, 117);
+  buf.writeUInt8(0xa1, 118);                          // Address & data type
+  buf.writeUInt16BE(0x0000, 119);                     // First property address
+  buf.writeUInt16BE(0x0001, 121);                     // Address increment
+  buf.writeUInt16BE(slots + 1, 123);                  // Property value count
+  buf.writeUInt8(0x00, 125);                          // DMX start code
+  buf.set(p.values, DATA_OFFSET);
+
+  return buf;
+}
+
+/**
+ * Parses an E1.31 data packet
+ *
+ * @param {Buffer} msg - UDP payload
+ * @returns {object|null} - Parsed packet, or null if msg is not an E1.31 data packet
+ */
+function decode(msg) {
+  if (msg.length < DATA_OFFSET) return null;
+  if (ACN_PID.compare(msg, 4, 16) !== 0) return null;
+  if (msg.readUInt32BE(18) !== VECTOR_ROOT_E131_DATA) return null;
+  if (msg.readUInt32BE(40) !== VECTOR_E131_DATA_PACKET) return null;
+  if (msg.readUInt8(117) !== VECTOR_DMP_SET_PROPERTY) return null;
+
+  const options = msg.readUInt8(112);
+  const count = Math.min(msg.readUInt16BE(123), msg.length - 125);
+
+  return {
+    cid: msg.toString('hex', 22, 38),
+    sourceName: msg.toString('utf8', 44, 108).replace(/\0.*$/, ''),
+    priority: msg.readUInt8(108),
+    sequence: msg.readUInt8(111),
+    preview: (options & OPT_PREVIEW) > 0,
+    terminated: (options & OPT_TERMINATED) > 0,
+    universe: msg.readUInt16BE(113),
+    startCode: msg.readUInt8(125),
+    data: msg.subarray(DATA_OFFSET, DATA_OFFSET + count - 1)
+  };
+}
+
+module.exports = { PORT, multicastGroup, encode, decode };
@@ -0,0 +1,131 @@
+// Description: Output scheduler, paces the frames of all senders of a hub
+//
+// Senders request a frame when their values change. Changes are coalesced: a sender outputs
+// at most frame_rate frames per second, on its slot of the frame period. Unchanged values are
+// re-sent every base_refresh_interval (800-4000 ms keep-alive as per Art-Net spec).
+// Senders are spread on SLOTS slots per frame period, to avoid bursts of all universes at once.
+
+const SLOTS = 4;
+const EPSILON = 0.001;  // ms, for float rounding of slot times
+
+/**
+ * Class representing the output scheduler of a hub
+ */
+class Scheduler {
+
+  /**
+   * @param {object} parent - Parent hub
+   * @param {number} rate - Max. frames per second and universe
+   */
+  constructor(parent, rate) {
+    this.parent = parent;
+    this.period = 1000 / rate;
+    this.slots = Array.from({ length: SLOTS }, () => new Set());
+    this.start = Date.now();
+    this.timer = null;
+    this.due = Infinity;  // time of the armed tick
+  }
+
+  /**
+   * Adds a sender on the least loaded slot, and requests its first frame
+   *
+   * @param {Sender} sender - Sender to schedule
+   */
+  add(sender) {
+    let slot = 0;
+    for (let i = 1; i < SLOTS; i++)
+      if (this.slots[i].size < this.slots[slot].size) slot = i;
+    this.slots[slot].add(sender);
+    sender.slot = slot;
+    sender.lastSent = -Infinity;
+    this.request(sender);
+  }
+
+  /**
+   * Removes a sender
+   *
+   * @param {Sender} sender - Sender to remove
+   */
+  remove(sender) {
+    this.slots[sender.slot].delete(sender);
+    if (this.slots.every((slot) => slot.size === 0)) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.due = Infinity;
+    }
+  }
+
+  /**
+   * Requests a frame for a changed sender
+   *
+   * @param {Sender} sender - Sender with changed values
+   */
+  request(sender) {
+    sender.dirty = true;
+    this.arm(this.dueTime(sender, Date.now()));
+  }
+
+  /**
+   * Time of the first tick of a slot at or after a given time
+   *
+   * @param {number} slot - Slot index
+   * @param {number} time - Time (ms)
+   * @returns {number} - Tick time (ms)
+   */
+  slotTime(slot, time) {
+    const offset = this.start + slot * this.period / SLOTS;
+    return offset + Math.max(0, Math.ceil((time - offset) / this.period - EPSILON)) * this.period;
+  }
+
+  /**
+   * Next time a sender has a frame to output: on change, or for keep-alive
+   *
+   * @param {Sender} sender - Sender
+   * @param {number} now - Current time (ms)
+   * @returns {number} - Tick time (ms), Infinity if none
+   */
+  dueTime(sender, now) {
+    if (sender.dirty) return this.slotTime(sender.slot, Math.max(now, sender.lastSent + this.period));
+    const refresh = sender.options.base_refresh_interval;
+    if (refresh > 0) return this.slotTime(sender.slot, sender.lastSent + refresh);
+    return Infinity;
+  }
+
+  /**
+   * Arms the timer for a tick, unless an earlier one is armed
+   *
+   * @param {number} time - Tick time (ms)
+   */
+  arm(time) {
+    if (time >= this.due) return;
+    clearTimeout(this.timer);
+    this.due = time;
+    this.timer = setTimeout(() => this.tick(), Math.max(0, time - Date.now()));
+  }
+
+  /**
+   * Outputs the frames due, then arms the next tick
+   */
+  tick() {
+    let time = this.due;
+    this.timer = null;
+    this.due = Infinity;
+
+    // Late by more than a frame (busy event loop): do not catch up
+    const now = Date.now();
+    if (now - time > this.period) time = now;
+
+    let next = Infinity;
+    for (const slot of this.slots)
+      for (const sender of slot) {
+        if (this.dueTime(sender, time) <= time + EPSILON) {
+          sender.sendFrame();
+          sender.lastSent = time;
+        }
+        next = Math.min(next, this.dueTime(sender, time));
+      }
+    if (next < Infinity) this.arm(next);
+  }
+}
+
+module.exports = { Scheduler };
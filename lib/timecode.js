@@ -0,0 +1,286 @@
+// Description: Timecode (ArtTimeCode) conversion, generator and cues
+//
+// Timecode object: { hours, minutes, seconds, frames, type }
+// type: 'Film' (24 fps), 'EBU' (25 fps), 'DF' (29.97 fps drop frame) or 'SMPTE' (30 fps)
+//
+// Positions are counted in frames since 00:00:00:00. Drop frame positions are real frames,
+// labels 00 and 01 are skipped every minute except every tenth.
+
+const EventEmitter = require('events');
+
+const TYPES = ['Film', 'EBU', 'DF', 'SMPTE'];
+const FPS = { 'Film': 24, 'EBU': 25, 'DF': 30000 / 1001, 'SMPTE': 30 };
+const NOMINAL = { 'Film': 24, 'EBU': 25, 'DF': 30, 'SMPTE': 30 };
+
+/**
+ * Number of frames in 24 hours
+ *
+ * @param {string} type - Timecode type
+ * @returns {number} - Frames per day
+ */
+function dayFrames(type) {
+  return type === 'DF' ? 24 * 6 * 17982 : 24 * 3600 * NOMINAL[type];
+}
+
+/**
+ * Converts a timecode to a frame position
+ *
+ * @param {object} tc - {hours, minutes, seconds, frames}
+ * @param {string} type - Timecode type
+ * @returns {number} - Frames since 00:00:00:00
+ */
+function toFrames(tc, type) {
+  const minutes = tc.hours * 60 + tc.minutes;
+  let frames = (minutes * 60 + tc.seconds) * NOMINAL[type] + tc.frames;
+  if (type === 'DF') frames -= 2 * (minutes - Math.floor(minutes / 10));
+  return frames;
+}
+
+/**
+ * Converts a frame position to a timecode, wrapping at 24 hours
+ *
+ * @param {number} position - Frames since 00:00:00:00
+ * @param {string} type - Timecode type
+ * @returns {object} - {hours, minutes, seconds, frames, type}
+ */
+function fromFrames(position, type) {
+  const day = dayFrames(type);
+  let count = ((Math.floor(position) % day) + day) % day;
+
+  // Drop frame: add back the skipped labels
+  if (type === 'DF') {
+    const tens = Math.floor(count / 17982);
+    const rest = count % 17982;
+    count += 18 * tens + (rest > 2 ? 2 * Math.floor((rest - 2) / 1798) : 0);
+  }
+
+  const nominal = NOMINAL[type];
+  return {
+    hours: Math.floor(count / (3600 * nominal)),
+    minutes: Math.floor(count / (60 * nominal)) % 60,
+    seconds: Math.floor(count / nominal) % 60,
+    frames: count % nominal,
+    type
+  };
+}
+
+/**
+ * Parses a timecode string 'hh:mm:ss:ff' (';' before frames for drop frame)
+ *
+ * @param {string} str - Timecode string
+ * @returns {object} - {hours, minutes, seconds, frames}
+ */
+function parse(str) {
+  const m = /^(\d{1,2}):(\d{2}):(\d{2})[:;.](\d{2})$/.exec(String(str).trim());
+  if (!m) throw new Error('Invalid timecode: ' + str);
+  return { hours: +m[1], minutes: +m[2], seconds: +m[3], frames: +m[4] };
+}
+
+/**
+ * Formats a timecode as 'hh:mm:ss:ff' (';' before frames for drop frame)
+ *
+ * @param {object} tc - {hours, minutes, seconds, frames, type}
+ * @returns {string} - Timecode string
+ */
+function format(tc) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return pad(tc.hours) + ':' + pad(tc.minutes) + ':' + pad(tc.seconds) + (tc.type === 'DF' ? ';' : ':') + pad(tc.frames);
+}
+
+
+/**
+ * Class representing a timecode generator, sending ArtTimeCode and triggering cues
+ */
+class TimecodeGenerator extends EventEmitter {
+
+  options = {
+    type: 'SMPTE',        // 'Film', 'EBU', 'DF' or 'SMPTE'
+    to: null,             // Destination IP, default to the ArtPoll destination (broadcast)
+    stream_id: 0,         // ArtTimeCode stream, 0 for the master stream
+    broadcast: true,      // Send ArtTimeCode, false to only trigger cues
+    follow: false,        // Chase the ArtTimeCode received by the hub
+  }
+
+  constructor(opt, parent) {
+    super();
+    this.parent = parent;
+
+    // set options
+    for (var key in this.options)
+      this.options[key] = opt[key] !== undefined ? opt[key] : this.options[key];
+
+    if (!TYPES.includes(this.options.type)) this.parent.handleError(new Error('Invalid timecode type: must be Film, EBU, DF or SMPTE'));
+
+    this.state = 'stopped';   // 'stopped', 'running' or 'chasing'
+    this.position = 0;        // Frames since 00:00:00:00
+    this.timer = null;
+    this.cues = [];
+
+    if (this.options.follow) {
+      this.onTimecode = (tc) => {
+        if (tc.streamId === this.options.stream_id) this.chase(tc);
+      };
+      this.parent.on('timecode', this.onTimecode);
+    }
+
+    this.parent.logger.info(`TIMECODE generator: ${JSON.stringify(this.options)}`);
+  }
+
+  /**
+   * Frames per second of the timecode type
+   */
+  get fps() {
+    return FPS[this.options.type];
+  }
+
+  /**
+   * Current timecode
+   */
+  get timecode() {
+    return fromFrames(this.position, this.options.type);
+  }
+
+  /**
+   * Starts running from the current position
+   */
+  start() {
+    if (this.state === 'running') return;
+    this.state = 'running';
+    this.origin = performance.now();
+    this.base = this.position;
+    this.emit('start', this.timecode);
+    this.output();
+    this.schedule();
+  }
+
+  /**
+   * Stops running, holding the current position
+   */
+  stop() {
+    if (this.state === 'stopped') return;
+    this.state = 'stopped';
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emit('stop', this.timecode);
+  }
+
+  /**
+   * Jumps to a position and sends it. Cues in between are not triggered.
+   *
+   * @param {string|object|number} time - 'hh:mm:ss:ff', {hours, minutes, seconds, frames} or frame position
+   */
+  locate(time) {
+    this.position = this.toPosition(time);
+    if (this.state === 'running') {
+      this.origin = performance.now();
+      this.base = this.position;
+    }
+    this.emit('locate', this.timecode);
+    this.output();
+  }
+
+  /**
+   * Follows an external timecode (e.g. media server): sends it, and triggers the cues passed.
+   * Jumps of more than a second are handled as locate.
+   *
+   * @param {string|object|number} time - 'hh:mm:ss:ff', {hours, minutes, seconds, frames} or frame position
+   */
+  chase(time) {
+    if (this.state === 'running') this.stop();
+    this.state = 'chasing';
+
+    const previous = this.position;
+    this.position = this.toPosition(time);
+    const delta = this.position - previous;
+    this.output();
+    if (delta > 0 && delta <= this.fps) this.trigger(previous, this.position);
+  }
+
+  /**
+   * Adds a cue, triggered when the running or chased timecode reaches it
+   *
+   * @param {string|object|number} time - 'hh:mm:ss:ff', {hours, minutes, seconds, frames} or frame position
+   * @param {function} callback - Called with the cue
+   * @param {string} name - Cue name
+   * @returns {object} - Cue {name, position, timecode, callback}
+   */
+  cue(time, callback, name) {
+    const position = this.toPosition(time);
+    const cue = { name: name || format(fromFrames(position, this.options.type)), position, timecode: fromFrames(position, this.options.type), callback };
+    this.cues.push(cue);
+    this.cues.sort((a, b) => a.position - b.position);
+    return cue;
+  }
+
+  /**
+   * Removes a cue, or all cues
+   *
+   * @param {object} cue - Cue returned by cue(), default all
+   */
+  removeCue(cue) {
+    this.cues = cue ? this.cues.filter((c) => c !== cue) : [];
+  }
+
+  /**
+   * Stops the generator and detaches it from the hub
+   */
+  close() {
+    this.stop();
+    if (this.onTimecode) this.parent.removeListener('timecode', this.onTimecode);
+  }
+
+  /**
+   * Resolves a time argument to a frame position
+   */
+  toPosition(time) {
+    if (typeof time === 'number') return Math.max(0, Math.floor(time));
+    if (typeof time === 'string') time = parse(time);
+    return toFrames(time, this.options.type);
+  }
+
+  /**
+   * Sends the current position, and emits it
+   */
+  output() {
+    const tc = this.timecode;
+    if (this.options.broadcast) this.parent.ArtTimeCode(tc, this.options.to || undefined, this.options.stream_id);
+    this.emit('timecode', tc);
+  }
+
+  /**
+   * Triggers the cues after a position, up to another one
+   *
+   * @param {number} from - Position (exclusive)
+   * @param {number} to - Position (inclusive)
+   */
+  trigger(from, to) {
+    for (const cue of this.cues)
+      if (cue.position > from && cue.position <= to) {
+        this.parent.logger.debug('Timecode cue: ' + cue.name);
+        this.emit('cue', cue);
+        if (cue.callback) this.parent.callHandler(cue.callback, cue);
+      }
+  }
+
+  /**
+   * Advances the running position at the frame rate, relative to origin to avoid drift
+   */
+  schedule() {
+    const elapsed = performance.now() - this.origin;
+    const frame = Math.floor(elapsed * this.fps / 1000);
+    const delay = (frame + 1) * 1000 / this.fps - elapsed;
+
+    this.timer = setTimeout(() => {
+      if (this.state !== 'running') return;
+      const previous = this.position;
+      this.position = this.base + Math.floor((performance.now() - this.origin) * this.fps / 1000);
+      if (this.position !== previous) {
+        this.output();
+        this.trigger(previous, this.position);
+      }
+      this.schedule();
+    }, delay);
+  }
+}
+
+module.exports = { TYPES, FPS, TimecodeGenerator, toFrames, fromFrames, parse, format };
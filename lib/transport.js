@@ -0,0 +1,261 @@
+// Description: Network transport: UDP sockets and network interfaces, system or virtual
+//
+// A transport is { createSocket(options), networkInterfaces() }, as dgram.createSocket and os.networkInterfaces.
+//
+// VirtualNetwork connects the hubs of a single process without network access:
+//
+//   const network = new VirtualNetwork();
+//   const console = network.host([{ name: 'eth0', cidr: '10.0.0.1/24' }]);
+//   const node = network.host([{ name: 'eth0', cidr: '10.0.0.2/24' }]);
+//   new hartnet({ transport: console });
+//
+// Interfaces on the same subnet are connected (or on the same 'segment', when given).
+// Unicast, directed and limited broadcast and multicast follow the rules of an IPv4 LAN,
+// packets are delivered asynchronously in send order.
+
+const dgram = require('dgram');
+const os = require('os');
+const EventEmitter = require('events');
+const Netmask = require('netmask').Netmask;
+
+const systemTransport = {
+  createSocket: (options) => dgram.createSocket(options),
+  networkInterfaces: () => os.networkInterfaces(),
+};
+
+const MULTICAST = new Netmask('224.0.0.0/4');
+
+const socketError = (code, syscall) => Object.assign(new Error(syscall + ' ' + code), { code, syscall });
+
+
+/**
+ * Class representing an UDP socket on a virtual host, with the API of dgram.Socket used by hartnet
+ */
+class VirtualSocket extends EventEmitter {
+
+  constructor(host, options) {
+    super();
+    this.host = host;
+    this.reuseAddr = typeof options === 'object' && options.reuseAddr === true;
+    this.port = null;
+    this.boundAddress = null;   // null: all addresses
+    this.broadcast = false;
+    this.multicastInterface = null;
+    this.memberships = new Set();
+    this.closed = false;
+  }
+
+  /**
+   * Binds the socket: bind([port][, address][, callback]) or bind(options[, callback])
+   */
+  bind(...args) {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    let port = 0;
+    let address;
+    if (typeof args[0] === 'object' && args[0] !== null) ({ port = 0, address } = args[0]);
+    else [port = 0, address] = args;
+
+    if (callback) this.once('listening', callback);
+    const network = this.host.network;
+
+    if (address && !this.host.interfaces.some((iface) => iface.ip === address)) {
+      setImmediate(() => this.emit('error', socketError('EADDRNOTAVAIL', 'bind')));
+      return this;
+    }
+    if (port && network.sockets.some((s) => s.host === this.host && s.port === port && !(s.reuseAddr && this.reuseAddr))) {
+      setImmediate(() => this.emit('error', socketError('EADDRINUSE', 'bind')));
+      return this;
+    }
+
+    this.port = port || network.ephemeralPort();
+    this.boundAddress = address || null;
+    network.sockets.push(this);
+    setImmediate(() => this.emit('listening'));
+    return this;
+  }
+
+  /**
+   * Sends a datagram: send(msg[, offset, length], port, address[, callback])
+   */
+  send(msg, ...args) {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    if (args.length >= 4) {
+      const [offset, length] = args.splice(0, 2);
+      msg = msg.subarray(offset, offset + length);
+    }
+    const [port, address] = args;
+
+    let error = null;
+    if (this.closed) error = socketError('ERR_SOCKET_DGRAM_NOT_RUNNING', 'send');
+    else {
+      if (this.port === null) this.bind();
+      error = this.host.network.route(this, Buffer.from(msg), port, address);
+    }
+
+    setImmediate(() => {
+      if (callback) callback(error);
+      else if (error) this.emit('error', error);
+    });
+  }
+
+  address() {
+    if (this.port === null || this.closed) throw socketError('ERR_SOCKET_DGRAM_NOT_RUNNING', 'address');
+    return { address: this.boundAddress || '0.0.0.0', family: 'IPv4', port: this.port };
+  }
+
+  setBroadcast(flag) {
+    this.broadcast = !!flag;
+  }
+
+  setMulticastInterface(ip) {
+    this.multicastInterface = ip;
+  }
+
+  addMembership(group) {
+    if (this.memberships.has(group)) throw socketError('EADDRINUSE', 'addMembership');
+    this.memberships.add(group);
+  }
+
+  dropMembership(group) {
+    if (!this.memberships.delete(group)) throw socketError('EADDRNOTAVAIL', 'dropMembership');
+  }
+
+  close(callback) {
+    if (callback) this.once('close', callback);
+    if (this.closed) return this;
+    this.closed = true;
+    const network = this.host.network;
+    network.sockets = network.sockets.filter((s) => s !== this);
+    setImmediate(() => this.emit('close'));
+    return this;
+  }
+
+  ref() { return this; }
+  unref() { return this; }
+}
+
+
+/**
+ * Class representing a host of a virtual network, used as transport of a hub
+ */
+class VirtualHost {
+
+  constructor(network, interfaces) {
+    this.network = network;
+    this.interfaces = [];
+    for (const def of interfaces) this.addInterface(def);
+  }
+
+  /**
+   * Adds an interface, e.g. to simulate hot-plug
+   *
+   * @param {object} def - {name, cidr: 'ip/bits', mac, segment}
+   */
+  addInterface(def) {
+    const netmask = new Netmask(def.cidr);
+    this.interfaces.push({
+      name: def.name || 'eth' + this.interfaces.length,
+      ip: def.cidr.split('/')[0],
+      cidr: def.cidr,
+      netmask,
+      mac: def.mac || this.network.nextMac(),
+      segment: def.segment || netmask.base + '/' + netmask.bitmask,
+    });
+  }
+
+  /**
+   * Removes an interface
+   *
+   * @param {string} name - Interface name
+   */
+  removeInterface(name) {
+    this.interfaces = this.interfaces.filter((iface) => iface.name !== name);
+  }
+
+  createSocket(options) {
+    return new VirtualSocket(this, options);
+  }
+
+  networkInterfaces() {
+    const result = {};
+    for (const iface of this.interfaces)
+      (result[iface.name] = result[iface.name] || []).push({
+        address: iface.ip, netmask: iface.netmask.mask, family: 'IPv4', mac: iface.mac, internal: false, cidr: iface.cidr
+      });
+    return result;
+  }
+}
+
+
+/**
+ * Class representing an in-memory IPv4 network
+ */
+class VirtualNetwork {
+
+  constructor() {
+    this.sockets = [];
+    this.hosts = [];
+    this.lastPort = 49151;
+    this.lastMac = 0;
+  }
+
+  /**
+   * Adds a host
+   *
+   * @param {Array} interfaces - [{name, cidr: 'ip/bits', mac, segment}]
+   * @returns {VirtualHost} - Host, to pass as transport option of a hub
+   */
+  host(interfaces = []) {
+    const host = new VirtualHost(this, interfaces);
+    this.hosts.push(host);
+    return host;
+  }
+
+  ephemeralPort() {
+    this.lastPort = this.lastPort >= 65535 ? 49152 : this.lastPort + 1;
+    return this.lastPort;
+  }
+
+  nextMac() {
+    const n = ++this.lastMac;
+    return '02:00:00:00:' + ('0' + ((n >> 8) & 0xFF).toString(16)).slice(-2) + ':' + ('0' + (n & 0xFF).toString(16)).slice(-2);
+  }
+
+  /**
+   * Routes a datagram to the sockets reached from the sending socket
+   *
+   * @returns {Error|null} - Send error
+   */
+  route(socket, msg, port, address) {
+    const host = socket.host;
+    const multicast = MULTICAST.contains(address);
+    const limited = address === '255.255.255.255';
+
+    // Outgoing interface: bound address, multicast interface, subnet of the destination, or the first one (default route)
+    const iface = host.interfaces.find((i) => i.ip === socket.boundAddress)
+      || (multicast && host.interfaces.find((i) => i.ip === socket.multicastInterface))
+      || (!limited && host.interfaces.find((i) => i.netmask.contains(address)))
+      || host.interfaces[0];
+    if (!iface) return socketError('ENETUNREACH', 'send');
+
+    const broadcast = limited || host.interfaces.some((i) => i.netmask.broadcast === address);
+    if (broadcast && !socket.broadcast) return socketError('EACCES', 'send');
+
+    const rinfo = { address: socket.boundAddress || iface.ip, family: 'IPv4', port: socket.port, size: msg.length };
+    for (const target of this.sockets) {
+      if (target.port !== port || target.closed) continue;
+      const reached = target.host.interfaces.some((i) => {
+        if (i.segment !== iface.segment) return false;
+        if (multicast) return target.memberships.has(address);
+        if (limited || i.netmask.broadcast === address) return target.boundAddress === null;
+        return i.ip === address && (target.boundAddress === null || target.boundAddress === address);
+      });
+      if (reached) setImmediate(() => {
+        if (!target.closed) target.emit('message', Buffer.from(msg), { ...rinfo });
+      });
+    }
+    return null;
+  }
+}
+
+module.exports = { systemTransport, VirtualNetwork, VirtualHost, VirtualSocket };
@@ -0,0 +1,64 @@
+// Description: Show files: recording received universes and playing them back, on a VirtualNetwork
+//
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hartnet = require('../hartnet.js');
+const { parseShow } = require('../lib/recorder.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Two hubs on 10.0.0.0/24: a console and a node
+function setup(t) {
+  const network = new hartnet.VirtualNetwork();
+  const hub = (ip) => new hartnet({ transport: network.host([{ name: 'eth0', cidr: ip + '/24' }]), log_level: 'silent' });
+  const console1 = hub('10.0.0.1');
+  const node = hub('10.0.0.2');
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'hartnet-')), 'show.bin');
+  t.after(() => Promise.all([console1.close(), node.close()]).then(() => fs.rmSync(path.dirname(file), { recursive: true })));
+  return Promise.all([console1.ready, node.ready]).then(() => ({ console1, node, file }));
+}
+
+test('records a universe and plays it back', async (t) => {
+  const { console1, node, file } = await setup(t);
+
+  // Record universe 3, sent by the console
+  const recorder = node.newRecorder({ file, receivers: [node.newReceiver({ universe: 3 })] });
+  const sender = console1.newSender({ universe: 3, to: '10.0.0.2' });
+  recorder.start();
+  for (const value of [10, 20, 30]) {
+    sender.setChannel(0, value);
+    await wait(40);
+  }
+  await recorder.stop();
+  assert.strictEqual(recorder.frameCount, 3);
+
+  const show = parseShow(fs.readFileSync(file));
+  assert.deepStrictEqual(show.frames.map((frame) => frame.data[0]), [10, 20, 30]);
+  assert.ok(show.frames[2].time - show.frames[0].time >= 60);
+
+  // Play it back from the node to the console
+  const played = [];
+  console1.newReceiver({ universe: 3 }).on('data', (data) => played.push(data[0]));
+  const player = node.newPlayer({ file, senders: [node.newSender({ universe: 3, to: '10.0.0.1' })] });
+  const end = new Promise((resolve) => player.once('end', resolve));
+  player.play();
+  await end;
+  await wait(50);
+  assert.deepStrictEqual(played.slice(-3), [10, 20, 30]);
+});
+
+test('reports a recorder without file instead of throwing', async (t) => {
+  const { node } = await setup(t);
+  const errors = [];
+  node.errFunc = (err) => errors.push(err.message);
+
+  const recorder = node.newRecorder({});
+  recorder.start();
+  assert.strictEqual(recorder.recording, false);
+  assert.deepStrictEqual(errors, ['Recorder: no file given', 'Recorder: no file given']);
+});
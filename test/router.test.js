@@ -0,0 +1,68 @@
+// Description: Routers bridging universes between hubs, on a VirtualNetwork
+//
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const hartnet = require('../hartnet.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Two hubs on 10.0.0.0/24: a console and a node
+function setup(t) {
+  const network = new hartnet.VirtualNetwork();
+  const hub = (ip) => new hartnet({ transport: network.host([{ name: 'eth0', cidr: ip + '/24' }]), log_level: 'silent' });
+  const console1 = hub('10.0.0.1');
+  const node = hub('10.0.0.2');
+  t.after(() => Promise.all([console1.close(), node.close()]));
+  return Promise.all([console1.ready, node.ready]).then(() => ({ console1, node }));
+}
+
+// Last values received by a console receiver
+function listen(hub, universe) {
+  const last = { data: null };
+  hub.newReceiver({ universe }).on('data', (data) => { last.data = Array.from(data.subarray(0, 8)); });
+  return last;
+}
+
+test('bridges a universe through a patch', async (t) => {
+  const { console1, node } = await setup(t);
+  node.newRouter({ routes: [{
+    inputs: [{ universe: 1 }],
+    outputs: [{ universe: 2, to: '10.0.0.1' }],
+    patch: { 0: 4, 1: [5, 6] },
+    scale: 0.5,
+  }] });
+  const output = listen(console1, 2);
+
+  const sender = console1.newSender({ universe: 1, to: '10.0.0.2' });
+  sender.prepChannel(0, 100);
+  sender.prepChannel(1, 200);
+  sender.setChannel(2, 255);  // not patched
+  await wait(100);
+
+  assert.deepStrictEqual(output.data, [0, 0, 0, 0, 50, 100, 100, 0]);
+});
+
+test('merges two inputs HTP', async (t) => {
+  const { console1, node } = await setup(t);
+  node.newRouter({ routes: [{
+    inputs: [{ universe: 1 }, { universe: 3 }],
+    outputs: [{ universe: 2, to: '10.0.0.1' }],
+  }] });
+  const output = listen(console1, 2);
+
+  const a = console1.newSender({ universe: 1, to: '10.0.0.2' });
+  const b = console1.newSender({ universe: 3, to: '10.0.0.2' });
+  a.prepChannel(0, 10);
+  a.setChannel(1, 200);
+  b.prepChannel(0, 90);
+  b.setChannel(1, 20);
+  await wait(100);
+  assert.deepStrictEqual(output.data.slice(0, 2), [90, 200]);
+
+  // the highest remaining value wins once a level is pulled down
+  b.setChannel(0, 0);
+  await wait(100);
+  assert.deepStrictEqual(output.data.slice(0, 2), [10, 200]);
+});
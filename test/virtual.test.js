@@ -0,0 +1,160 @@
+// Description: Hubs talking over a VirtualNetwork: discovery, ArtDmx, hot-plug
+//
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const hartnet = require('../hartnet.js');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves with the arguments of the next event, rejects after timeout ms
+function once(emitter, event, timeout = 1000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('No ' + event + ' within ' + timeout + ' ms')), timeout);
+    emitter.once(event, (...args) => {
+      clearTimeout(timer);
+      resolve(args);
+    });
+  });
+}
+
+// Two hubs on 10.0.0.0/24: a console and a node
+function setup(t, options = {}) {
+  const network = new hartnet.VirtualNetwork();
+  const hub = (ip) => new hartnet({ transport: network.host([{ name: 'eth0', cidr: ip + '/24' }]), log_level: 'silent', ...options });
+  const console1 = hub('10.0.0.1');
+  const node = hub('10.0.0.2');
+  t.after(() => Promise.all([console1.close(), node.close()]));
+  return Promise.all([console1.ready, node.ready]).then(() => ({ network, console1, node }));
+}
+
+test('discovers a node and its ports with ArtPoll', async (t) => {
+  const { console1, node } = await setup(t);
+  node.newReceiver({ net: 1, subnet: 2, universe: 3 });
+  node.newSender({ universe: 4, to: '10.0.0.255' });
+
+  const online = once(console1, 'node-online');
+  console1.ArtPoll();
+  const [found] = await online;
+  await wait(50);
+
+  assert.strictEqual(found.ip, '10.0.0.2');
+  assert.strictEqual(console1.findNode('10.0.0.2'), found);
+  assert.deepStrictEqual(console1.findOutputs(0x123).map((r) => r.port.ip), ['10.0.0.2']);
+  assert.deepStrictEqual(console1.findInputs(4).map((r) => r.port.ip), ['10.0.0.2']);
+  assert.ok(node.controllers.has('10.0.0.1'));
+});
+
+test('delivers ArtDmx from a sender to a receiver', async (t) => {
+  const { console1, node } = await setup(t);
+  const receiver = node.newReceiver({ universe: 7 });
+  const sender = console1.newSender({ universe: 7, to: '10.0.0.255' });
+
+  const received = once(receiver, 'data');
+  sender.prepChannel(0, 255);
+  sender.prepChannel(1, 128);
+  sender.setChannel(2, 1);
+  const [data, info] = await received;
+
+  assert.deepStrictEqual(Array.from(data.subarray(0, 4)), [255, 128, 1, 0]);
+  assert.strictEqual(info.port_address, 7);
+  assert.strictEqual(info.source, '10.0.0.1');
+});
+
+test('ignores ArtDmx for the universe of a sACN receiver', async (t) => {
+  const { console1, node } = await setup(t);
+  const receiver = node.newReceiver({ protocol: 'sacn', universe: 1 });
+  const data = [];
+  receiver.on('data', (values) => data.push(values));
+
+  console1.newSender({ universe: 1, to: '10.0.0.255' }).setChannel(0, 255);
+  await wait(100);
+  assert.strictEqual(data.length, 0);
+});
+
+test('zero-extends short frames to 512 channels on both protocols', async (t) => {
+  const { console1, node } = await setup(t);
+  const lengths = {};
+  for (const protocol of ['artnet', 'sacn']) {
+    const receiver = node.newReceiver({ protocol, universe: 2 });
+    const received = once(receiver, 'data');
+    console1.newSender({ protocol, universe: 2, channels: 4, to: protocol === 'sacn' ? undefined : '10.0.0.255' }).setChannel(3, 9);
+    const [data] = await received;
+    assert.strictEqual(data[3], 9);
+    lengths[protocol] = data.length;
+  }
+  assert.deepStrictEqual(lengths, { artnet: 512, sacn: 512 });
+});
+
+test('sender created before its interface starts once the interface is up', async (t) => {
+  const network = new hartnet.VirtualNetwork();
+  const host = network.host([]);
+  const console1 = new hartnet({ transport: host, log_level: 'silent', scan_interval: 50 });
+  const node = new hartnet({ transport: network.host([{ name: 'eth0', cidr: '10.0.0.2/24' }]), log_level: 'silent' });
+  t.after(() => Promise.all([console1.close(), node.close()]));
+  await Promise.all([console1.ready, node.ready]);
+
+  const receiver = node.newReceiver({ universe: 0 });
+  console1.newSender({ universe: 0, to: '10.0.0.255' }).setChannel(0, 42);
+  await wait(50);
+
+  const received = once(receiver, 'data');
+  host.addInterface({ name: 'eth0', cidr: '10.0.0.1/24' });
+  const [data] = await received;
+  assert.strictEqual(data[0], 42);
+});
+
+test('scan_interval 0 disables the interface re-scan', async (t) => {
+  const network = new hartnet.VirtualNetwork();
+  const hub = new hartnet({ transport: network.host([{ name: 'eth0', cidr: '10.0.0.1/24' }]), log_level: 'silent', scan_interval: 0 });
+  t.after(() => hub.close());
+  await hub.ready;
+  assert.strictEqual(hub.scanTimer, undefined);
+});
+
+test('replies to ArtPoll on the interface it came from only', async (t) => {
+  const network = new hartnet.VirtualNetwork();
+  const hub = (ips) => new hartnet({
+    transport: network.host(ips.map((ip, i) => ({ name: 'eth' + i, cidr: ip }))), log_level: 'silent'
+  });
+  const console1 = hub(['10.0.0.1/24', '192.168.1.1/24']);
+  const node = hub(['10.0.0.2/24', '192.168.1.2/24']);
+  const office = hub(['192.168.1.3/24']);
+  t.after(() => Promise.all([console1.close(), node.close(), office.close()]));
+  await Promise.all([console1.ready, node.ready, office.ready]);
+  node.newReceiver({ universe: 1 });
+
+  const replies = (hub) => {
+    const received = [];
+    hub.listener4.on('message', (msg, rinfo) => {
+      if (hartnet.artnet.decode(msg).name === 'ArtPollReply') received.push(rinfo.address);
+    });
+    return received;
+  };
+  const onConsole = replies(console1);
+  const onOffice = replies(office);
+
+  const poll = hartnet.artnet.encode('ArtPoll', {});
+  console1.socket.send(poll, 0, poll.length, 6454, '10.0.0.255');
+  await wait(100);
+
+  assert.ok(onConsole.includes('10.0.0.2'));
+  assert.ok(!onConsole.includes('192.168.1.2'));
+  assert.deepStrictEqual(onOffice, []);
+});
+
+test('replies by unicast to an ArtPoll from another subnet', async (t) => {
+  const network = new hartnet.VirtualNetwork();
+  const console1 = new hartnet({ transport: network.host([{ name: 'eth0', cidr: '10.1.0.1/24', segment: 'lan' }]), log_level: 'silent' });
+  const node = new hartnet({ transport: network.host([{ name: 'eth0', cidr: '10.0.0.2/24', segment: 'lan' }]), log_level: 'silent' });
+  t.after(() => Promise.all([console1.close(), node.close()]));
+  await Promise.all([console1.ready, node.ready]);
+  node.newReceiver({ universe: 1 });
+
+  const online = once(console1, 'node-online');
+  const poll = hartnet.artnet.encode('ArtPoll', {});
+  console1.socket.send(poll, 0, poll.length, 6454, '10.0.0.2');
+  const [found] = await online;
+  assert.strictEqual(found.ip, '10.0.0.2');
+});